@@ -0,0 +1,529 @@
+// Flow Fields - Simulation Core
+// The scene model shared by the WebGL engine (flow-webgl.js) and the Canvas 2D engine (flow-sim.js):
+// config schema, force fields, seeded randomness and the share-link codec. Both engines read
+// and write scenes in this shape, so presets and links work in either renderer:
+//   { version, config, maxForceFields, enabledForceTypes, mouse: { mode, radius, strength },
+//     postEffects: [id, ...],
+//     forceFields: [{ x, y, type, strength, radius, rotation, angle, life, vx, vy }, ...] }
+// Simulation coordinates are pixels with y up. Scene force field positions are 0-1 of the canvas.
+// postEffects are the enabled POST_EFFECTS in the order they run (WebGL only).
+// Load after flow-palettes.js, flow-noise-modes.js and flow-post-effects.js.
+
+// ============ CONFIG ============
+
+// Every config key either engine understands:
+//   type     'int' | 'float' | 'bool' | 'enum' (one of options)
+//   default  Starting value
+//   min/max  Valid range; share-link values outside it are clamped
+//   step     Resolution, used when randomizing
+//   url      Query parameter in older share links (current links put the whole scene in the hash)
+//   ui       Settings control on the WebGL page; a '<ui>Val' element shows the value if present
+//   random   [low, high] range randomize() picks from, or for bools the chance of true
+//   backend  Only exists in that engine's config ('gpu' or 'cpu')
+const SCENE_CONFIG = {
+    particleCount: { type: 'int', default: 250000, min: 1000, max: 100000000, url: 'particles' },
+    particleOpacity: { type: 'float', default: 0.15, min: 0.003, max: 0.5, step: 0.01, url: 'opacity', ui: 'particleOpacity', random: [0.08, 0.23], backend: 'gpu' },
+    particleSize: { type: 'float', default: 1.5, min: 0.5, max: 5, step: 0.1, url: 'size', ui: 'particleSize', random: [1, 3], backend: 'gpu' },
+    renderMode: { type: 'int', default: 0, min: 0, max: 1, ui: 'renderMode', backend: 'gpu' }, // Index into RENDER_MODES: 0=points, 1=line from last frame's position
+    lineWidth: { type: 'float', default: 0.5, min: 0.1, max: 5, step: 0.1, ui: 'lineWidth' }, // Stroke width in pixels (WebGL line mode, Canvas 2D always)
+    lineTaper: { type: 'float', default: 0, min: 0, max: 1, step: 0.05, ui: 'lineTaper', backend: 'gpu' }, // 1 = lines narrow to a point at the tail
+    symmetry: { type: 'int', default: 1, min: 1, max: 12, step: 1, ui: 'symmetry' }, // Rotated copies drawn of every particle
+    symmetryMirror: { type: 'bool', default: false, ui: 'symmetryMirror', backend: 'gpu' }, // Also draw each copy mirrored
+    symmetryX: { type: 'float', default: 0.5, min: 0, max: 1, step: 0.01, ui: 'symmetryX', backend: 'gpu' }, // Center, 0-1 of the canvas like force fields
+    symmetryY: { type: 'float', default: 0.5, min: 0, max: 1, step: 0.01, ui: 'symmetryY', backend: 'gpu' },
+    noiseScale: { type: 'float', default: 0.003, min: 0.0005, max: 0.02, step: 0.0001, url: 'noiseScale', ui: 'noiseScale', random: [0.002, 0.007] },
+    speed: { type: 'float', default: 1.0, min: 0.1, max: 5, step: 0.01, url: 'speed', ui: 'speed', random: [0.5, 2] }, // Mean flow speed in pixels per frame
+    fadeAmount: { type: 'float', default: 0.03, min: 0.005, max: 0.5, step: 0.01, url: 'fade', ui: 'fade', random: [0.01, 0.11] },
+    exposure: { type: 'float', default: 1.0, min: 0.1, max: 4, step: 0.05, ui: 'exposure', backend: 'gpu' }, // Trail brightness before tone mapping
+    toneMapping: { type: 'int', default: 0, min: 0, max: 3, ui: 'toneMapping', backend: 'gpu' }, // Index into TONE_MAPPINGS: 0=linear (clip), 1=Reinhard, 2=ACES, 3=filmic
+    bloomIntensity: { type: 'float', default: 0, min: 0, max: 2, step: 0.05, ui: 'bloomIntensity', backend: 'gpu' }, // 0 = bloom off
+    bloomThreshold: { type: 'float', default: 0.8, min: 0, max: 2, step: 0.05, ui: 'bloomThreshold', backend: 'gpu' },
+    chromaticAberration: { type: 'float', default: 0.5, min: 0, max: 3, step: 0.05, ui: 'chromaticAberration', backend: 'gpu' }, // Channel split at the edges, in percent of the picture
+    vignetteStrength: { type: 'float', default: 0.6, min: 0, max: 1, step: 0.05, ui: 'vignetteStrength', backend: 'gpu' },
+    vignetteSize: { type: 'float', default: 0.4, min: 0, max: 1, step: 0.05, ui: 'vignetteSize', backend: 'gpu' }, // Where darkening starts, from 0 at the center to 1 in the corners
+    grainAmount: { type: 'float', default: 0.08, min: 0, max: 0.5, step: 0.01, ui: 'grainAmount', backend: 'gpu' },
+    grainSize: { type: 'float', default: 1, min: 1, max: 4, step: 0.5, ui: 'grainSize', backend: 'gpu' }, // Grain in pixels
+    kaleidoscopeSegments: { type: 'int', default: 6, min: 2, max: 16, step: 1, ui: 'kaleidoscopeSegments', backend: 'gpu' },
+    kaleidoscopeRotation: { type: 'float', default: 0, min: 0, max: 360, step: 1, ui: 'kaleidoscopeRotation', backend: 'gpu' }, // Degrees
+    colorGrade: { type: 'int', default: 0, min: 0, max: COLOR_GRADES.length - 1, ui: 'colorGrade', backend: 'gpu' }, // Index into COLOR_GRADES
+    colorGradeMix: { type: 'float', default: 1, min: 0, max: 1, step: 0.05, ui: 'colorGradeMix', backend: 'gpu' },
+    feedbackAmount: { type: 'float', default: 0.1, min: 0, max: 0.5, step: 0.01, ui: 'feedbackAmount', backend: 'gpu' }, // Share of the trail replaced each frame
+    feedbackZoom: { type: 'float', default: 1.01, min: 0.9, max: 1.1, step: 0.005, ui: 'feedbackZoom', backend: 'gpu' },
+    feedbackRotation: { type: 'float', default: 0.5, min: -5, max: 5, step: 0.1, ui: 'feedbackRotation', backend: 'gpu' }, // Degrees per frame
+    colorScheme: { type: 'float', default: 0, min: 0, max: BUILTIN_PALETTES.length - 1, step: 1, url: 'color', random: [0, BUILTIN_PALETTES.length - 1] }, // Palette index; fractions crossfade (WebGL)
+    noiseMode: { type: 'int', default: 1, min: 0, max: NOISE_MODES.length - 1, step: 1, url: 'noise', ui: 'noiseMode', random: [0, NOISE_MODES.length - 1] }, // Index into NOISE_MODES
+    backgroundStrength: { type: 'float', default: 1.0, min: 0, max: 2, step: 0.01, url: 'bgStrength', ui: 'bgStrength', random: [0.6, 1.6] },
+    forceFieldStrength: { type: 'float', default: 1.0, min: 0, max: 3, step: 0.01, url: 'forceStrength', ui: 'forceStrength', random: [0.6, 1.4] },
+    brownianMotion: { type: 'float', default: 1.5, min: 0, max: 3, step: 0.01, url: 'brownian', ui: 'brownian', random: [0.2, 1.5] }, // Random jitter in pixels per frame
+    respawnRate: { type: 'float', default: 0.002, min: 0, max: 0.05, step: 0.001, url: 'respawn', ui: 'respawnRate', random: [0.001, 0.011] }, // Chance per particle per frame
+    zonesEnabled: { type: 'bool', default: false, url: 'zones', ui: 'zonesEnabled', random: 0.4, backend: 'gpu' },
+    zonesStrength: { type: 'float', default: 1.0, min: 0.1, max: 3, step: 0.01, url: 'zonesStr', ui: 'zonesStrength', random: [0.5, 1.5], backend: 'gpu' },
+    globalGravity: { type: 'float', default: 0, min: -1, max: 1, step: 0.01, url: 'gravity', ui: 'gravity', random: [-0.2, 0.2] },
+    forceSpawnRate: { type: 'float', default: 0, min: 0, max: 5, step: 0.1, url: 'forceSpawn', ui: 'forceSpawn', random: [0, 2] }, // Auto-spawned fields per second (0 = off)
+    forceLifetime: { type: 'float', default: 1.0, min: 0.1, max: 5, step: 0.1, url: 'forceLife', ui: 'forceLifetime', random: [0.5, 2.5] }, // Lifetime multiplier (1.0 = 500-1000 frames)
+    maxForceRadius: { type: 'int', default: 200, min: 50, max: 500, step: 1, url: 'maxRadius', ui: 'maxRadius', random: [100, 400] }, // Largest radius for spawned fields
+    fieldDriftSpeed: { type: 'float', default: 0.5, min: 0, max: 3, step: 0.1, url: 'drift' }, // How fast spawned fields wander
+    globalSwirl: { type: 'float', default: 0, min: -2, max: 2, step: 0.01, url: 'swirl', ui: 'swirl', random: [-0.5, 0.5], backend: 'gpu' },
+    chargeInteraction: { type: 'float', default: 0, min: 0, max: 2, step: 0.1, ui: 'chargeStrength', backend: 'gpu' },
+    chargeRatio: { type: 'float', default: 0.5, min: 0, max: 1, step: 0.05, ui: 'chargeRatio', backend: 'gpu' },
+    gravityInteraction: { type: 'float', default: 0, min: -2, max: 2, step: 0.1, ui: 'gravityInteraction', backend: 'gpu' },
+    alignmentInteraction: { type: 'float', default: 0, min: 0, max: 2, step: 0.1, ui: 'alignmentInteraction', backend: 'gpu' }, // Steer toward neighbors' mean velocity
+    cohesionInteraction: { type: 'float', default: 0, min: -2, max: 2, step: 0.1, ui: 'cohesionInteraction', backend: 'gpu' }, // Steer toward (or away from) neighbors' center
+    pressureStrength: { type: 'float', default: 0, min: 0, max: 3, step: 0.05, ui: 'pressureStrength', backend: 'gpu' }, // Push from crowded areas into sparse ones
+    friction: { type: 'float', default: 0.005, min: 0, max: 0.1, step: 0.001, ui: 'friction', backend: 'gpu' }, // Friction in Forces Only mode
+    imageFlowMode: { type: 'int', default: 0, min: 0, max: 2, ui: 'imageFlowMode', backend: 'gpu' }, // 0=luminance gradient, 1=edge tangents, 2=hue
+    imageFlowMix: { type: 'float', default: 1.0, min: 0, max: 1, step: 0.05, ui: 'imageFlowMix', backend: 'gpu' },
+    imageColorMix: { type: 'float', default: 0, min: 0, max: 1, step: 0.05, ui: 'imageColorMix', backend: 'gpu' },
+    trailLength: { type: 'float', default: 1, min: 0.5, max: 5, url: 'trail', backend: 'cpu' },
+    velocityColor: { type: 'bool', default: false, url: 'velocity', backend: 'cpu' },
+    particleInteraction: { type: 'enum', default: 'zones', url: 'interact', backend: 'cpu',
+        options: ['none', 'attract', 'repel', 'align', 'zones'] },
+    interactionStrength: { type: 'float', default: 1.0, min: 0, max: 3, url: 'interactStr', backend: 'cpu' },
+    interactionRadius: { type: 'int', default: 50, min: 10, max: 100, step: 1, url: 'interactRad', ui: 'interactionRadius' }, // Neighbor search radius in pixels
+    seed: { type: 'int', default: null, min: 0, max: 4294967295, url: 'seed' }, // null = pick a random seed
+    time: { type: 'int', default: 0, min: 0 }                                 // Frames since the run started
+};
+
+// Query parameters for scene values outside config, in the same schema form
+const SCENE_PARAMS = {
+    maxForces: { type: 'int', min: 1, max: 2000 },
+    mouseMode: { type: 'int', min: 0, max: 2 },
+    mouseRad: { type: 'int', min: 50, max: 400 }
+};
+
+const MOUSE_MODES = ['vortex', 'attract', 'repel'];
+const SCENE_MOUSE_DEFAULTS = { mode: 0, radius: 150, strength: 1.0 };
+
+function getSceneConfigKeys(backend) {
+    return Object.keys(SCENE_CONFIG).filter(key => !SCENE_CONFIG[key].backend || SCENE_CONFIG[key].backend === backend);
+}
+
+// Default config for an engine, with noise mode parameters and a fresh seed
+function createSceneConfig(backend, overrides = {}) {
+    const config = {};
+    for (const key of getSceneConfigKeys(backend)) {
+        config[key] = SCENE_CONFIG[key].default;
+    }
+    config.seed = Math.floor(Math.random() * 1000000000);
+    return { ...config, ...getNoiseModeDefaults(NOISE_MODES), ...overrides };
+}
+
+// Parse a share-link value (query parameter text, or a decoded scene value) against its
+// schema entry, clamping it into range.
+// Returns { value } when usable, with clamped set if it had to move, or { error } if not.
+function parseSceneValue(schema, text) {
+    switch (schema.type) {
+        case 'bool':
+            if (text === true || text === '1' || text === 'true') return { value: true };
+            if (text === false || text === '0' || text === 'false') return { value: false };
+            return { error: 'expected 1 or 0' };
+        case 'enum':
+            return schema.options.includes(text) ? { value: text } : { error: `expected one of ${schema.options.join(', ')}` };
+    }
+    // Number() rather than parseInt/parseFloat, which would read '1e12' as 1 and '5px' as 5
+    let value = typeof text === 'number' ? text : String(text).trim() === '' ? NaN : Number(text);
+    if (!Number.isFinite(value)) return { error: 'not a number' };
+    if (schema.type === 'int') value = Math.round(value);
+    const clamped = Math.min(schema.max ?? Infinity, Math.max(schema.min ?? -Infinity, value));
+    return clamped === value ? { value } : { value: clamped, clamped: true };
+}
+
+// Snap to the schema step, without float noise like 0.30000000000000004
+function roundToStep(value, step) {
+    if (!step) return value;
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    return +(Math.round(value / step) * step).toFixed(decimals);
+}
+
+// Random values for every key with a random range that the engine has
+function randomSceneConfig(backend, random = Math.random) {
+    const config = {};
+    for (const key of getSceneConfigKeys(backend)) {
+        const schema = SCENE_CONFIG[key];
+        if (schema.random === undefined) continue;
+        if (schema.type === 'bool') {
+            config[key] = random() < schema.random;
+        } else {
+            const [low, high] = schema.random;
+            // Ints and whole steps can land on the top value too
+            const span = schema.type === 'int' || schema.step === 1 ? high - low + 1 : high - low;
+            config[key] = Math.min(high, roundToStep(low + random() * span, schema.type === 'int' ? 1 : schema.step));
+        }
+    }
+    return config;
+}
+
+// ============ SEEDED RANDOM ============
+
+// Mulberry32 - small, fast 32-bit PRNG returning floats in [0, 1)
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    const random = function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // State access lets offline renders rewind and replay the same sequence
+    random.getState = () => state;
+    random.setState = (value) => { state = value >>> 0; };
+    return random;
+}
+
+// ============ FORCE FIELDS ============
+
+// Indexed by field.type, so new types go on the end. key is the spawn shortcut in both versions.
+const FORCE_TYPES = [
+    { id: 'sink', name: 'Sink', color: '#ff4444', key: '1' },
+    { id: 'source', name: 'Source', color: '#44ff44', key: '2' },
+    { id: 'vortex', name: 'Vortex', color: '#4444ff', key: '3' },
+    { id: 'gravity', name: 'Gravity', color: '#ffff44', key: '4' },
+    { id: 'turbulence', name: 'Turbulence', color: '#ff44ff', key: '7' },
+    { id: 'shear', name: 'Shear', color: '#ff8844', key: '5' },
+    { id: 'repulsor', name: 'Repulsor', color: '#ff2222', key: '6' },
+    { id: 'lane', name: 'Lane', color: '#44aaff', key: '8' }
+];
+
+// Random type among the enabled ones, or -1 if none are enabled
+function pickForceType(enabledForceTypes, random) {
+    const enabledTypes = [];
+    for (let i = 0; i < FORCE_TYPES.length; i++) {
+        if (enabledForceTypes[i]) enabledTypes.push(i);
+    }
+    if (enabledTypes.length === 0) return -1;
+    return enabledTypes[Math.floor(random() * enabledTypes.length)];
+}
+
+// New field at (x, y) sized by config. Optional flags: immortal (never expires), pinned (doesn't drift).
+function createForceField(x, y, type, config, random) {
+    const baseLife = 500 + random() * 500;
+    const minRadius = Math.max(40, config.maxForceRadius * 0.3);
+    const radiusRange = config.maxForceRadius - minRadius;
+    return {
+        x: x,
+        y: y,
+        type: type,
+        strength: 50 + random() * 100,
+        radius: minRadius + random() * radiusRange,
+        rotation: random() > 0.5 ? 1 : -1,
+        angle: random() * Math.PI * 2, // Push direction for shear and lane
+        life: baseLife * config.forceLifetime,
+        vx: (random() - 0.5) * config.fieldDriftSpeed,
+        vy: (random() - 0.5) * config.fieldDriftSpeed
+    };
+}
+
+// Drift, bounce off the edges and age every field, removing expired ones (in place)
+function stepForceFields(fields, width, height) {
+    for (let i = fields.length - 1; i >= 0; i--) {
+        const f = fields[i];
+        // Pinned fields stay where they were placed; immortal ones never expire. Held fields
+        // (being dragged in the editor) do neither until they're let go.
+        if (!f.pinned && !f.held) {
+            f.x += f.vx;
+            f.y += f.vy;
+        }
+        if (!f.immortal && !f.held) {
+            f.life--;
+        }
+
+        // Bounce off edges
+        if (f.x < 0 || f.x > width) f.vx *= -1;
+        if (f.y < 0 || f.y > height) f.vy *= -1;
+
+        if (f.life <= 0) {
+            fields.splice(i, 1);
+        }
+    }
+}
+
+// Push a field gives at (px, py) as { x, y }. Same model as getForceFieldEffect() in the
+// WebGL physics shader: strength falls off linearly to the radius and scales with life / 500.
+// noise2D(x, y) drives turbulence.
+function getForceFieldForce(f, px, py, time, noise2D) {
+    const dx = px - f.x;
+    const dy = py - f.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist > f.radius || dist < 5) return { x: 0, y: 0 };
+
+    const s = (f.strength / 100) * (1 - dist / f.radius) * (f.life / 500);
+    const nx = dx / dist;
+    const ny = dy / dist;
+    const angle = f.angle || 0;
+
+    switch (FORCE_TYPES[f.type] && FORCE_TYPES[f.type].id) {
+        case 'sink':
+            return { x: -nx * s, y: -ny * s };
+        case 'source':
+            return { x: nx * s, y: ny * s };
+        case 'vortex':
+            return { x: -ny * s * f.rotation, y: nx * s * f.rotation };
+        case 'gravity': // Inward pull with a slight orbit
+            return { x: -nx * s * 2 - ny * s * 0.3, y: -ny * s * 2 + nx * s * 0.3 };
+        case 'turbulence': {
+            const turbAngle = noise2D(px * 0.1 + time * 0.01, py * 0.1 + time * 0.01) * Math.PI * 2;
+            return { x: Math.cos(turbAngle) * s * 2, y: Math.sin(turbAngle) * s * 2 };
+        }
+        case 'shear': { // The two halves slide opposite ways
+            const side = dy < 0 ? -1.5 : 1.5;
+            return { x: Math.cos(angle) * s * side, y: Math.sin(angle) * s * side };
+        }
+        case 'repulsor': { // Source that gets much stronger near the center
+            const repel = s * 3 * (f.radius / (dist + 10));
+            return { x: nx * repel, y: ny * repel };
+        }
+        case 'lane':
+            return { x: Math.cos(angle) * s * 2, y: Math.sin(angle) * s * 2 };
+        default:
+            return { x: 0, y: 0 };
+    }
+}
+
+// Scene force fields use 0-1 positions so scenes survive resizes
+function forceFieldsToScene(fields, width, height) {
+    return fields.map(f => ({ ...f, x: f.x / width, y: f.y / height }));
+}
+
+function forceFieldsFromScene(fields, width, height) {
+    return fields.map(f => ({ angle: 0, ...f, x: f.x * width, y: f.y * height }));
+}
+
+// Enabled types from a scene. Types added since it was saved stay off so it spawns what it used to.
+function enabledForceTypesFromScene(enabledForceTypes) {
+    return FORCE_TYPES.map((t, i) => enabledForceTypes[i] === true);
+}
+
+// ============ QUERY PARAMETER LINKS ============
+
+// Partial scene (see applyScene in either engine) from share-link query parameters.
+// Values are validated against the schema: out of range ones are clamped, unusable ones dropped.
+// Returns { scene, rejected } with a message per parameter that was changed or dropped.
+function decodeSceneParams(params) {
+    const scene = { config: {} };
+    const rejected = [];
+    const read = (name, schema) => {
+        if (!params.has(name)) return undefined;
+        const text = params.get(name);
+        const result = parseSceneValue(schema, text);
+        if (result.error) {
+            rejected.push(`${name}=${text} (${result.error})`);
+        } else if (result.clamped) {
+            rejected.push(`${name}=${text} (out of range, using ${result.value})`);
+        }
+        return result.value;
+    };
+
+    for (const [key, schema] of Object.entries(SCENE_CONFIG)) {
+        if (!schema.url) continue;
+        const value = read(schema.url, schema);
+        if (value !== undefined) scene.config[key] = value;
+    }
+    const maxForces = read('maxForces', SCENE_PARAMS.maxForces);
+    if (maxForces !== undefined) {
+        scene.maxForceFields = maxForces;
+    }
+    // Older Canvas 2D links name the mouse mode
+    const modeName = params.get('mouseMode');
+    const mouseMode = MOUSE_MODES.includes(modeName) ? MOUSE_MODES.indexOf(modeName) : read('mouseMode', SCENE_PARAMS.mouseMode);
+    const mouseRadius = read('mouseRad', SCENE_PARAMS.mouseRad);
+    if (mouseMode !== undefined || mouseRadius !== undefined) {
+        scene.mouse = {};
+        if (mouseMode !== undefined) scene.mouse.mode = mouseMode;
+        if (mouseRadius !== undefined) scene.mouse.radius = mouseRadius;
+    }
+    if (params.has('palette')) {
+        const palette = decodePalette(params.get('palette'), params.get('paletteName') || 'Shared');
+        if (palette) {
+            scene.palette = palette;
+        } else {
+            rejected.push('palette (not a valid gradient)');
+        }
+    }
+    return { scene, rejected };
+}
+
+// ============ SCENE LINKS ============
+
+// The whole scene in the URL hash - every config value, mouse, enabled types, timeline, post
+// effects and each placed force field - so a link reproduces what the sender saw, not just the sliders:
+//   #scene=<version>.<base64url of deflated JSON>
+// Query parameter links (above) are still read.
+const SCENE_HASH_KEY = 'scene';
+const SCENE_HASH_VERSION = 1;
+
+// Force fields are packed as arrays in this order, with pinned/immortal as bit flags
+const SCENE_FIELD_KEYS = ['x', 'y', 'type', 'strength', 'radius', 'rotation', 'angle', 'life', 'vx', 'vy'];
+const FIELD_PINNED = 1;
+const FIELD_IMMORTAL = 2;
+
+// Four decimals is a tenth of a pixel on a 1000px canvas for 0-1 positions
+function roundForLink(value) {
+    return typeof value === 'number' && !Number.isInteger(value) ? Math.round(value * 10000) / 10000 : value;
+}
+
+// Versioned blob for a scene. Config values at their schema defaults are left out.
+function packScene(scene) {
+    const config = {};
+    const defaults = { ...getNoiseModeDefaults(NOISE_MODES) };
+    for (const [key, schema] of Object.entries(SCENE_CONFIG)) defaults[key] = schema.default;
+    for (const [key, value] of Object.entries(scene.config || {})) {
+        if (key !== 'time' && value !== defaults[key]) config[key] = roundForLink(value);
+    }
+
+    const packed = { c: config };
+    if (scene.maxForceFields !== undefined) packed.n = scene.maxForceFields;
+    if (scene.enabledForceTypes) {
+        packed.e = scene.enabledForceTypes.reduce((bits, on, i) => on ? bits | (1 << i) : bits, 0);
+    }
+    if (scene.mouse) packed.m = [scene.mouse.mode, scene.mouse.radius, roundForLink(scene.mouse.strength)];
+    if (scene.palette) packed.p = [encodePalette(scene.palette), scene.palette.name];
+    if (scene.timeline) packed.t = JSON.parse(JSON.stringify(scene.timeline, (key, value) => roundForLink(value)));
+    if (scene.postEffects) packed.x = scene.postEffects;
+    if (scene.forceFields) {
+        packed.f = scene.forceFields.map(f => [
+            ...SCENE_FIELD_KEYS.map(key => roundForLink(f[key] || 0)),
+            (f.pinned ? FIELD_PINNED : 0) | (f.immortal ? FIELD_IMMORTAL : 0)
+        ]);
+    }
+    return packed;
+}
+
+// Scene from a packed blob, validated like query parameters. Defaults fill in left-out config keys.
+function unpackScene(packed, rejected) {
+    const scene = { version: 1, config: {} };
+    if (Array.isArray(packed.p)) {
+        const palette = decodePalette(packed.p[0], packed.p[1] || 'Shared');
+        if (palette) {
+            scene.palette = palette;
+        } else {
+            rejected.push('palette (not a valid gradient)');
+        }
+    }
+
+    const config = { ...getNoiseModeDefaults(NOISE_MODES), ...packed.c };
+    for (const [key, schema] of Object.entries(SCENE_CONFIG)) {
+        if (key === 'time' || key === 'seed' && config.seed === undefined) continue;
+        const value = key in config ? config[key] : schema.default;
+        // A scene's own palette is added after the engine's palettes, wherever that puts it, and
+        // the color scheme pointed at it - so with one only the lower bound applies
+        const range = key === 'colorScheme' && scene.palette ? { ...schema, max: undefined } : schema;
+        const result = parseSceneValue(range, value);
+        if (result.error) {
+            rejected.push(`${key}=${value} (${result.error})`);
+            continue;
+        }
+        if (result.clamped) rejected.push(`${key}=${value} (out of range, using ${result.value})`);
+        scene.config[key] = result.value;
+    }
+    // Noise mode parameters, clamped to their slider ranges
+    for (const param of NOISE_MODES.flatMap(mode => mode.params)) {
+        const result = parseSceneValue({ type: 'float', ...param }, config[param.key]);
+        if (!result.error) scene.config[param.key] = result.value;
+    }
+
+    if (packed.n !== undefined) {
+        const result = parseSceneValue(SCENE_PARAMS.maxForces, packed.n);
+        if (!result.error) scene.maxForceFields = result.value;
+    }
+    if (Number.isInteger(packed.e)) {
+        scene.enabledForceTypes = FORCE_TYPES.map((t, i) => (packed.e & (1 << i)) !== 0);
+    }
+    if (Array.isArray(packed.m)) {
+        const [mode, radius, strength] = packed.m;
+        scene.mouse = {
+            mode: parseSceneValue(SCENE_PARAMS.mouseMode, mode).value ?? SCENE_MOUSE_DEFAULTS.mode,
+            radius: parseSceneValue(SCENE_PARAMS.mouseRad, radius).value ?? SCENE_MOUSE_DEFAULTS.radius,
+            strength: parseSceneValue({ type: 'float', min: 0.1, max: 3 }, strength).value ?? SCENE_MOUSE_DEFAULTS.strength
+        };
+    }
+    if (packed.t && packed.t.tracks && Number.isFinite(packed.t.duration) && packed.t.duration > 0) {
+        // Only numeric keyframes for known keys, sorted like setKeyframe() keeps them
+        const tracks = {};
+        for (const [key, keyframes] of Object.entries(packed.t.tracks)) {
+            if (!(key in scene.config) || !Array.isArray(keyframes)) continue;
+            tracks[key] = keyframes
+                .filter(k => k && Number.isFinite(k.time) && Number.isFinite(k.value))
+                .map(k => ({ time: k.time, value: k.value, easing: String(k.easing) }))
+                .sort((a, b) => a.time - b.time);
+        }
+        scene.timeline = { duration: packed.t.duration, loop: packed.t.loop !== false, tracks };
+    }
+    if (Array.isArray(packed.x)) {
+        scene.postEffects = postEffectsFromScene(packed.x);
+        for (const id of packed.x) {
+            if (!getPostEffect(id)) rejected.push(`post effect ${id} (not available)`);
+        }
+    }
+    if (Array.isArray(packed.f)) {
+        scene.forceFields = [];
+        for (const values of packed.f.slice(0, SCENE_PARAMS.maxForces.max)) {
+            const field = {};
+            SCENE_FIELD_KEYS.forEach((key, i) => field[key] = Array.isArray(values) ? values[i] : undefined);
+            if (!SCENE_FIELD_KEYS.every(key => Number.isFinite(field[key])) || !FORCE_TYPES[field.type]) {
+                rejected.push('force field (invalid values)');
+                continue;
+            }
+            const flags = values[SCENE_FIELD_KEYS.length] | 0;
+            if (flags & FIELD_PINNED) field.pinned = true;
+            if (flags & FIELD_IMMORTAL) field.immortal = true;
+            scene.forceFields.push(field);
+        }
+    }
+    return scene;
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+// URL hash (without the #) for a scene
+async function encodeSceneHash(scene) {
+    const json = new TextEncoder().encode(JSON.stringify(packScene(scene)));
+    const deflated = await transformBytes(json, new CompressionStream('deflate-raw'));
+    return `${SCENE_HASH_KEY}=${SCENE_HASH_VERSION}.${bytesToBase64Url(deflated)}`;
+}
+
+// { scene, rejected } from a URL hash, or null if it doesn't hold a scene.
+// A damaged or newer-version blob gives an empty scene and a rejected message.
+async function decodeSceneHash(hash) {
+    const match = new RegExp(`^#?${SCENE_HASH_KEY}=(\\d+)\\.([A-Za-z0-9_-]+)$`).exec(hash);
+    if (!match) return null;
+    const rejected = [];
+    if (parseInt(match[1]) !== SCENE_HASH_VERSION) {
+        rejected.push(`scene (format version ${match[1]} is newer than this page understands)`);
+        return { scene: { config: {} }, rejected };
+    }
+    try {
+        const json = await transformBytes(base64UrlToBytes(match[2]), new DecompressionStream('deflate-raw'));
+        const packed = JSON.parse(new TextDecoder().decode(json));
+        return { scene: unpackScene(packed, rejected), rejected };
+    } catch (e) {
+        console.error('Failed to decode scene link:', e);
+        rejected.push('scene (link is damaged)');
+        return { scene: { config: {} }, rejected };
+    }
+}
+
+// { scene, rejected } from a page URL's scene hash, or its query parameters for older links.
+// null if the URL carries no scene.
+async function decodeSceneLink(url) {
+    const fromHash = await decodeSceneHash(url.hash);
+    if (fromHash) return fromHash;
+    const params = new URLSearchParams(url.search);
+    return params.size > 0 ? decodeSceneParams(params) : null;
+}
@@ -0,0 +1,129 @@
+// Flow Fields - Undo History
+// Undo/redo for the WebGL page's settings and force field edits. The page owns the history and
+// hands it to the engine (FlowFieldsGL.history), which records force fields placed on the canvas.
+// Works on anything with getScene() and applyScene(); load before flow-webgl.js.
+
+// Undo/redo stack of scene diffs. Each entry holds the partial scenes
+// (see FlowFieldsGL.applyScene) that take the scene back and forward.
+class ConfigHistory {
+    constructor(limit = 200) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.suspended = 0;  // > 0 while tracking an edit or applying undo/redo
+        this.pending = null; // Scene before an edit started with begin()
+        this.lastRecordTime = 0;
+    }
+
+    record(before, after, mergeKey = null) {
+        if (this.suspended > 0) return;
+
+        const now = performance.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        // Coalesce rapid changes to the same control (e.g. dragging a slider)
+        if (mergeKey && last && last.mergeKey === mergeKey && now - this.lastRecordTime < 1000) {
+            mergeScene(last.after, after);
+        } else {
+            this.undoStack.push({ before, after, mergeKey });
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+        this.lastRecordTime = now;
+        this.redoStack = [];
+    }
+
+    // Run fn and record everything it changed as a single entry.
+    // Force fields move every frame, so they are only compared when options.forces is set.
+    track(target, fn, options = {}) {
+        const before = target.getScene();
+        this.suspended++;
+        try {
+            fn();
+        } finally {
+            this.suspended--;
+        }
+        const diff = diffScenes(before, target.getScene(), options.forces);
+        if (diff) {
+            this.record(diff.before, diff.after, options.mergeKey);
+        }
+    }
+
+    // Like track(), for an edit spread over several events (e.g. a mouse drag)
+    begin(target) {
+        this.pending = target.getScene();
+    }
+
+    end(target, options = {}) {
+        if (!this.pending) return;
+        const diff = diffScenes(this.pending, target.getScene(), options.forces);
+        this.pending = null;
+        if (diff) {
+            this.record(diff.before, diff.after, options.mergeKey);
+        }
+    }
+
+    undo(target) {
+        return this.step(target, this.undoStack, this.redoStack, 'before');
+    }
+
+    redo(target) {
+        return this.step(target, this.redoStack, this.undoStack, 'after');
+    }
+
+    step(target, from, to, side) {
+        const entry = from.pop();
+        if (!entry) return false;
+
+        this.suspended++;
+        try {
+            target.applyScene(entry[side]);
+        } finally {
+            this.suspended--;
+        }
+        to.push(entry);
+        this.lastRecordTime = 0; // Next edit starts a fresh entry
+        return true;
+    }
+}
+
+function diffScenes(before, after, includeForces) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const diff = { before: {}, after: {} };
+    let changed = false;
+
+    for (const key of Object.keys(after.config)) {
+        // Particle count and seed rebuild the simulation - not undoable edits
+        if (key === 'particleCount' || key === 'seed') continue;
+        if (!same(before.config[key], after.config[key])) {
+            diff.before.config = diff.before.config || {};
+            diff.after.config = diff.after.config || {};
+            diff.before.config[key] = before.config[key];
+            diff.after.config[key] = after.config[key];
+            changed = true;
+        }
+    }
+
+    const keys = ['maxForceFields', 'enabledForceTypes', 'mouse', 'postEffects'];
+    if (includeForces) keys.push('forceFields');
+    for (const key of keys) {
+        if (!same(before[key], after[key])) {
+            diff.before[key] = before[key];
+            diff.after[key] = after[key];
+            changed = true;
+        }
+    }
+
+    return changed ? diff : null;
+}
+
+// Merge partial scene source into target (later values win)
+function mergeScene(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (key === 'config' || key === 'mouse') {
+            target[key] = { ...target[key], ...value };
+        } else {
+            target[key] = value;
+        }
+    }
+}
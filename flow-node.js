@@ -0,0 +1,49 @@
+// Flow Fields - Node.js entry point
+// Runs the CPU simulation (flow-sim.js) headless. The browser scripts share globals, so they're
+// evaluated together in the order the pages load them; requiring this module leaves Node's
+// global scope untouched.
+//   const { FlowSimulation } = require('./flow-node.js');
+//   const sim = new FlowSimulation(640, 360, { seed: 42 });
+//   sim.step();
+//   const rgba = sim.renderToBuffer();
+//   const svg = sim.exportStreamlinesSVG({ count: 300 });
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = ['flow-palettes.js', 'flow-noise-modes.js', 'flow-post-effects.js', 'flow-core.js',
+    'flow-streamlines.js', 'flow-timeline.js', 'flow-sim.js'];
+
+// Top-level declarations become locals of one function built from all the scripts, so they see
+// each other like they do on the page without leaking into the requirer's globals. (A separate
+// vm context would do the same but slows every lookup of Math and friends several times over.)
+const source = SCRIPTS.map(file => `// ---- ${file}\n` + fs.readFileSync(path.join(__dirname, file), 'utf8')).join('\n');
+
+module.exports = vm.compileFunction(`${source}
+return {
+    FlowSimulation,
+    NoiseGenerator,
+    CPU_MAX_PARTICLES,
+    SCENE_CONFIG,
+    FORCE_TYPES,
+    NOISE_MODES,
+    BUILTIN_PALETTES,
+    createSeededRandom,
+    createForceField,
+    getForceFieldForce,
+    decodeSceneParams,
+    parseSceneValue,
+    randomSceneConfig,
+    packScene,
+    unpackScene,
+    encodeSceneHash,
+    decodeSceneHash,
+    createTimeline,
+    setKeyframe,
+    evaluateTimeline,
+    traceStreamlines,
+    simplifyPolyline,
+    gridFieldSampler,
+    streamlinesToSVG
+};`, [], { filename: path.join(__dirname, 'flow-node.js') })();
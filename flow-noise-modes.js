@@ -0,0 +1,224 @@
+// Flow Fields - Noise Mode Registry
+// Background flow modes for the WebGL physics shader. Each mode is a GLSL function body
+// that FlowFieldsGL splices into the physics shader at compile time:
+//   {
+//     id,        // GLSL-safe identifier, used to name the mode's function
+//     name,      // Shown in the mode select
+//     output,    // 'angle' - body returns a float, turned into a direction around the circle
+//                // 'vector' - body returns a vec2 flow direction
+//     forcesOnly, // No background flow; particles keep momentum and are moved by forces alone
+//     fluid,     // Background flow is the velocity of FlowFieldsGL's fluid solver, which only
+//                // runs while such a mode is selected; glsl is unused
+//     glsl,      // Function body. In scope: pos (pixels), np (scaled noise coords), time (frames),
+//                // snoise(vec2), random(vec2) and a u_<key> uniform for each param
+//     helpers,   // Optional GLSL placed before the mode functions (extra noise functions etc.)
+//     params     // [{ key, label, min, max, step, default }] - stored in config under key
+//   }
+// Modes are indexed by position (config.noiseMode), so new modes go on the end.
+
+const NOISE_MODES = [];
+
+function registerNoiseMode(mode) {
+    if (!/^[a-z][a-zA-Z0-9]*$/.test(mode.id)) {
+        throw new Error(`Noise mode id "${mode.id}" must be a GLSL identifier`);
+    }
+    if (NOISE_MODES.some(m => m.id === mode.id)) {
+        throw new Error(`Noise mode "${mode.id}" is already registered`);
+    }
+    NOISE_MODES.push({ output: 'angle', forcesOnly: false, fluid: false, glsl: '', helpers: '', params: [], ...mode });
+    return NOISE_MODES.length - 1;
+}
+
+// Config defaults for every mode parameter: { key: default }
+function getNoiseModeDefaults(modes) {
+    const defaults = {};
+    for (const mode of modes) {
+        for (const param of mode.params) {
+            defaults[param.key] = param.default;
+        }
+    }
+    return defaults;
+}
+
+// Parameter uniforms, one function per mode, and getNoiseFlow() dispatching on u_noiseMode
+function buildNoiseModesGLSL(modes) {
+    const uniforms = modes.flatMap(m => m.params.map(p => `uniform float u_${p.key};`));
+    const functions = modes.filter(m => !m.forcesOnly && !m.fluid).map(m =>
+        `${m.output === 'vector' ? 'vec2' : 'float'} noise_${m.id}(vec2 pos, vec2 np, float time) {\n${m.glsl}\n}`);
+    const branches = modes.map((m, i) => {
+        if (m.forcesOnly) return `    if (u_noiseMode == ${i}) return vec2(0.0);`;
+        if (m.fluid) return `    if (u_noiseMode == ${i}) return getFluidFlow(pos);`;
+        const call = `noise_${m.id}(pos, np, time)`;
+        return `    if (u_noiseMode == ${i}) return ${m.output === 'vector' ? call : `angleFlow(${call}, pos)`};`;
+    });
+
+    return [
+        ...uniforms,
+        '',
+        ...modes.map(m => m.helpers).filter(Boolean),
+        ...functions,
+        '',
+        '// Unit-scale background flow direction for the current noise mode',
+        'vec2 getNoiseFlow(vec2 pos, float time) {',
+        '    vec2 np = pos * u_noiseScale + time * 0.0001 + u_seedOffset;',
+        ...branches,
+        '    return vec2(0.0);',
+        '}'
+    ].join('\n');
+}
+
+// ============ BUILT-IN MODES ============
+
+registerNoiseMode({
+    id: 'classic',
+    name: 'Classic',
+    glsl: `    return snoise(np);`
+});
+
+registerNoiseMode({
+    id: 'turbulent',
+    name: 'Turbulent fBm',
+    params: [
+        { key: 'turbulenceOctaves', label: 'Octaves', min: 1, max: 8, step: 1, default: 4 }
+    ],
+    glsl: `    float n = 0.0;
+    float amplitude = 0.5;
+    vec2 p = np;
+    for (int i = 0; i < 8; i++) {
+        if (float(i) >= u_turbulenceOctaves) break;
+        n += snoise(p) * amplitude;
+        p *= 2.0;
+        amplitude *= 0.5;
+    }
+    return n;`
+});
+
+registerNoiseMode({
+    id: 'ridged',
+    name: 'Ridged',
+    glsl: `    float n = 1.0 - abs(snoise(np));
+    n *= n;
+    n += (1.0 - abs(snoise(np * 2.0))) * 0.5;
+    n += (1.0 - abs(snoise(np * 4.0))) * 0.25;
+    return n * 0.7 - 0.5;`
+});
+
+registerNoiseMode({
+    id: 'billow',
+    name: 'Billow',
+    glsl: `    return abs(snoise(np)) * 0.5 +
+           abs(snoise(np * 2.0)) * 0.25 +
+           abs(snoise(np * 4.0)) * 0.125;`
+});
+
+registerNoiseMode({
+    id: 'warp',
+    name: 'Domain Warp',
+    params: [
+        { key: 'warpAmount', label: 'Warp Amount', min: 0, max: 2, step: 0.05, default: 0.5 }
+    ],
+    glsl: `    vec2 warp = vec2(snoise(np), snoise(np + vec2(5.2, 1.3))) * u_warpAmount;
+    return snoise(np + warp) + snoise((np + warp) * 2.0) * 0.5;`
+});
+
+registerNoiseMode({
+    id: 'forces',
+    name: 'Forces Only',
+    forcesOnly: true
+});
+
+// Divergence-free: velocity is the curl of an fBm potential, so flow never converges into
+// sinks and density stays even without respawning. The potential is a z slice of 3D noise
+// that moves over time. Matches NoiseGenerator.curl2D() in flow-sim.js.
+registerNoiseMode({
+    id: 'curl',
+    name: 'Curl Noise',
+    output: 'vector',
+    params: [
+        { key: 'curlOctaves', label: 'Octaves', min: 1, max: 6, step: 1, default: 3 },
+        { key: 'curlEvolution', label: 'Evolution Speed', min: 0, max: 2, step: 0.05, default: 0.5 }
+    ],
+    helpers: `// 3D simplex noise (Ashima Arts / Stefan Gustavson)
+vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
+vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+float snoise3(vec3 v) {
+    const vec2 C = vec2(1.0/6.0, 1.0/3.0);
+    const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+    vec3 i  = floor(v + dot(v, C.yyy));
+    vec3 x0 = v - i + dot(i, C.xxx);
+    vec3 g = step(x0.yzx, x0.xyz);
+    vec3 l = 1.0 - g;
+    vec3 i1 = min(g.xyz, l.zxy);
+    vec3 i2 = max(g.xyz, l.zxy);
+    vec3 x1 = x0 - i1 + C.xxx;
+    vec3 x2 = x0 - i2 + C.yyy;
+    vec3 x3 = x0 - D.yyy;
+    i = mod289(i);
+    vec4 p = permute(permute(permute(
+                i.z + vec4(0.0, i1.z, i2.z, 1.0))
+              + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+              + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+    float n_ = 0.142857142857;
+    vec3 ns = n_ * D.wyz - D.xzx;
+    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+    vec4 x_ = floor(j * ns.z);
+    vec4 y_ = floor(j - 7.0 * x_);
+    vec4 x = x_ * ns.x + ns.yyyy;
+    vec4 y = y_ * ns.x + ns.yyyy;
+    vec4 h = 1.0 - abs(x) - abs(y);
+    vec4 b0 = vec4(x.xy, y.xy);
+    vec4 b1 = vec4(x.zw, y.zw);
+    vec4 s0 = floor(b0) * 2.0 + 1.0;
+    vec4 s1 = floor(b1) * 2.0 + 1.0;
+    vec4 sh = -step(h, vec4(0.0));
+    vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+    vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+    vec3 p0 = vec3(a0.xy, h.x);
+    vec3 p1 = vec3(a0.zw, h.y);
+    vec3 p2 = vec3(a1.xy, h.z);
+    vec3 p3 = vec3(a1.zw, h.w);
+    vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2,p2), dot(p3,p3)));
+    p0 *= norm.x;
+    p1 *= norm.y;
+    p2 *= norm.z;
+    p3 *= norm.w;
+    vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
+    m = m * m;
+    return 42.0 * dot(m*m, vec4(dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3)));
+}`,
+    glsl: `    const float eps = 0.01;
+    float z = time * 0.002 * u_curlEvolution;
+    vec2 grad = vec2(0.0);
+    float norm = 0.0;
+    float frequency = 1.0;
+    float amplitude = 1.0;
+    for (int i = 0; i < 6; i++) {
+        if (float(i) >= u_curlOctaves) break;
+        vec3 p = vec3(np * frequency, z + float(i) * 17.3);
+        // Potential weights fall off faster than frequency rises, so each octave adds less velocity
+        float w = amplitude / frequency;
+        grad.x += w * (snoise3(p + vec3(eps, 0.0, 0.0)) - snoise3(p - vec3(eps, 0.0, 0.0))) / (2.0 * eps);
+        grad.y += w * (snoise3(p + vec3(0.0, eps, 0.0)) - snoise3(p - vec3(0.0, eps, 0.0))) / (2.0 * eps);
+        norm += w;
+        frequency *= 2.0;
+        amplitude *= 0.5;
+    }
+    // Rotate the gradient 90 degrees; 0.5 brings the mean speed to about 1 like the angle modes
+    return vec2(grad.y, -grad.x) / norm * 0.5;`
+});
+
+// Stable fluids: the flow is a simulated incompressible fluid that mouse drags and force fields
+// stir up and that keeps moving after they stop. WebGL only - the Canvas 2D version has no
+// solver and falls back to no background flow.
+registerNoiseMode({
+    id: 'fluid',
+    name: 'Fluid',
+    fluid: true,
+    params: [
+        { key: 'fluidViscosity', label: 'Viscosity', min: 0, max: 1, step: 0.05, default: 0.2 },
+        { key: 'fluidDissipation', label: 'Dissipation', min: 0, max: 0.1, step: 0.005, default: 0.01 },
+        { key: 'fluidForce', label: 'Stir Strength', min: 0, max: 3, step: 0.1, default: 1 }
+    ]
+});
@@ -0,0 +1,211 @@
+// Flow Fields - Color Palettes
+// Gradient palettes shared by the WebGL and Canvas 2D versions.
+// A palette is plain data so it can be saved, shared and put in presets:
+//   { name, interpolation: 'rgb' | 'oklab', source, stops: [{ position: 0-1, color: '#rrggbb' }, ...] }
+// source picks what drives the position along the gradient for each particle.
+
+const PALETTE_SIZE = 256; // Texels per palette row in the WebGL lookup texture
+const PALETTE_STORAGE_KEY = 'flowfields-palettes';
+
+const PALETTE_SOURCES = {
+    id: 'Particle',        // Per-particle value mixed with speed
+    velocity: 'Velocity',  // Slow to fast
+    direction: 'Direction', // Movement angle around the wheel
+    charge: 'Charge',      // Negative charges at 0, positive at 1
+    density: 'Density',    // Sparse to crowded, with average density in the middle
+    dye: 'Fluid Dye'       // Dye stirred into the Fluid noise mode (WebGL only)
+};
+
+const HUE_WHEEL = ['#ff0000', '#ffff00', '#00ff00', '#00ffff', '#0000ff', '#ff00ff', '#ff0000'];
+
+// Built-ins keep the order of the original color schemes so saved links and presets still match
+const BUILTIN_PALETTES = [
+    { name: 'Aurora', stops: evenStops(['#00ff87', '#60efff', '#ff00ff', '#ff0080']) },
+    { name: 'Sunset', stops: evenStops(['#ff6b35', '#f7c59f', '#efefef']) },
+    { name: 'Ocean', stops: evenStops(['#0078b5', '#00b5d9', '#8fe0f0']) },
+    { name: 'Fire', stops: evenStops(['#ff0000', '#ff5400', '#ff9900', '#ffcc00']) },
+    { name: 'Neon', stops: evenStops(['#ff00ff', '#00ffff', '#00ff00']) },
+    { name: 'Vapor', stops: evenStops(['#ff70cf', '#00cfff', '#05ffa1', '#ba66ff']) },
+    { name: 'Forest', stops: evenStops(['#215e21', '#3d8c3d', '#8fbd38', '#d9a621']) },
+    { name: 'Cosmic', stops: evenStops(['#0d0033', '#4d0080', '#e63380', '#ffcc4d']) },
+    { name: 'Candy', stops: evenStops(['#ff66b3', '#66ccff', '#fff280', '#b3ff99']) },
+    { name: 'Monochrome', stops: evenStops(['#4d4d4d', '#ffffff']) },
+    { name: 'Rainbow', stops: evenStops(HUE_WHEEL) },
+    { name: 'Velocity', source: 'velocity', stops: evenStops(['#0033cc', '#00ccff', '#00ff66', '#ffe600', '#ff3300']) },
+    { name: 'Direction', source: 'direction', stops: evenStops(HUE_WHEEL) },
+    {
+        name: 'Charge',
+        source: 'charge',
+        stops: [
+            { position: 0, color: '#3333ff' },
+            { position: 0.5, color: '#00ccff' },
+            { position: 0.5, color: '#ff8000' },
+            { position: 1, color: '#ff3333' }
+        ]
+    },
+    { name: 'Density', source: 'density', stops: evenStops(['#0a0a40', '#2060ff', '#40e0d0', '#fff0a0', '#ffffff']) }
+].map(normalizePalette);
+
+function evenStops(colors) {
+    return colors.map((color, i) => ({ position: i / (colors.length - 1), color }));
+}
+
+// Fill in defaults, clamp positions and sort stops. Returns a new palette.
+// Positions are kept to thousandths, the precision share links carry.
+function normalizePalette(palette) {
+    const stops = (palette.stops || [])
+        .filter(s => /^#[0-9a-f]{6}$/i.test(s.color) && Number.isFinite(s.position))
+        .map(s => ({
+            position: Math.round(Math.min(1, Math.max(0, s.position)) * 1000) / 1000,
+            color: s.color.toLowerCase()
+        }))
+        .sort((a, b) => a.position - b.position);
+    return {
+        name: String(palette.name || 'Custom'),
+        interpolation: palette.interpolation === 'oklab' ? 'oklab' : 'rgb',
+        source: PALETTE_SOURCES[palette.source] ? palette.source : 'id',
+        stops: stops.length > 0 ? stops : [{ position: 0, color: '#ffffff' }]
+    };
+}
+
+function samePalette(a, b) {
+    return JSON.stringify(normalizePalette(a)) === JSON.stringify(normalizePalette(b));
+}
+
+// ============ COLOR SPACES ============
+
+function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255];
+}
+
+function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(c) {
+    return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+// sRGB (0-1) to OKLab - see https://bottosson.github.io/posts/oklab/
+function rgbToOklab(rgb) {
+    const [r, g, b] = rgb.map(srgbToLinear);
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+function oklabToRgb(lab) {
+    const [L, a, b] = lab;
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ].map(c => Math.min(1, Math.max(0, linearToSrgb(c))));
+}
+
+// ============ SAMPLING ============
+
+// Color at t (0-1) as [r, g, b] in 0-1
+function samplePalette(palette, t) {
+    const stops = palette.stops;
+    if (t <= stops[0].position) return hexToRgb(stops[0].color);
+    const last = stops[stops.length - 1];
+    if (t >= last.position) return hexToRgb(last.color);
+
+    let i = 0;
+    while (stops[i + 1].position < t) i++;
+    const from = stops[i];
+    const to = stops[i + 1];
+    const span = to.position - from.position;
+    const f = span > 0 ? (t - from.position) / span : 1;
+
+    if (palette.interpolation === 'oklab') {
+        const a = rgbToOklab(hexToRgb(from.color));
+        const b = rgbToOklab(hexToRgb(to.color));
+        return oklabToRgb(a.map((v, k) => v + (b[k] - v) * f));
+    }
+    const a = hexToRgb(from.color);
+    const b = hexToRgb(to.color);
+    return a.map((v, k) => v + (b[k] - v) * f);
+}
+
+// RGBA8 pixels for a texture with one PALETTE_SIZE-wide row per palette
+function buildPaletteData(palettes) {
+    const data = new Uint8Array(PALETTE_SIZE * palettes.length * 4);
+    palettes.forEach((palette, row) => {
+        for (let i = 0; i < PALETTE_SIZE; i++) {
+            const rgb = samplePalette(palette, i / (PALETTE_SIZE - 1));
+            const offset = (row * PALETTE_SIZE + i) * 4;
+            data[offset] = Math.round(rgb[0] * 255);
+            data[offset + 1] = Math.round(rgb[1] * 255);
+            data[offset + 2] = Math.round(rgb[2] * 255);
+            data[offset + 3] = 255;
+        }
+    });
+    return data;
+}
+
+// Lookup table of CSS colors for Canvas 2D drawing
+function buildPaletteCSS(palette, steps = 64) {
+    const colors = [];
+    for (let i = 0; i < steps; i++) {
+        colors.push(rgbToHex(samplePalette(palette, i / (steps - 1))));
+    }
+    return colors;
+}
+
+// CSS gradient for previews. Sampled so OKLab palettes preview accurately.
+function paletteToCSSGradient(palette) {
+    return `linear-gradient(90deg, ${buildPaletteCSS(palette, 24).join(', ')})`;
+}
+
+// ============ SHARING ============
+
+// Compact URL-safe form: interpolation.source.rrggbb-position_rrggbb-position...
+// Positions are in thousandths. The name travels separately.
+function encodePalette(palette) {
+    const stops = palette.stops.map(s => `${s.color.slice(1)}-${Math.round(s.position * 1000)}`);
+    return `${palette.interpolation}.${palette.source}.${stops.join('_')}`;
+}
+
+// Returns null if the string isn't a valid palette
+function decodePalette(text, name = 'Shared') {
+    const [interpolation, source, stopList] = String(text).split('.');
+    if (!stopList) return null;
+    const stops = [];
+    for (const part of stopList.split('_')) {
+        const [color, position] = part.split('-');
+        if (!/^[0-9a-f]{6}$/i.test(color) || !/^\d+$/.test(position)) return null;
+        stops.push({ position: parseInt(position) / 1000, color: '#' + color });
+    }
+    return normalizePalette({ name, interpolation, source, stops });
+}
+
+// ============ STORAGE ============
+
+function loadUserPalettes() {
+    try {
+        const palettes = JSON.parse(localStorage.getItem(PALETTE_STORAGE_KEY));
+        return Array.isArray(palettes) ? palettes.map(normalizePalette) : [];
+    } catch (e) {
+        console.error('Failed to read palettes:', e);
+        return [];
+    }
+}
+
+function saveUserPalettes(palettes) {
+    localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(palettes));
+}
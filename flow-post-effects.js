@@ -0,0 +1,229 @@
+// Flow Fields - Post-Processing Effects
+// Effects the WebGL engine can run on the tone mapped image on its way from the trail to the
+// screen. A scene lists the enabled ones in the order they run (scene.postEffects); their
+// settings are ordinary config keys (see SCENE_CONFIG in flow-core.js). Each effect is compiled
+// to its own fragment shader:
+//   {
+//     id,        // Stored in scenes and share links
+//     name,      // Shown in the effects list
+//     params,    // [{ key, label, options? }] - config keys it reads, each passed to the shader
+//                // as a float u_<key> uniform. options makes the control a select of names.
+//     feedback,  // Config key for how much of the result is blended back into the trail each
+//                // frame. Feedback effects pass their input on unchanged.
+//     glsl,      // Function body returning vec3. In scope: p (0-1 across the whole picture, so
+//                // poster tiles line up), px (the same in pixels), image(p) sampling the input,
+//                // u_frame (this target's offset and the picture size in pixels), u_time (frames)
+//     helpers    // Optional GLSL placed before the function
+//   }
+// Load after flow-palettes.js and flow-noise-modes.js.
+
+const POST_EFFECTS = [];
+
+function registerPostEffect(effect) {
+    if (POST_EFFECTS.some(e => e.id === effect.id)) {
+        throw new Error(`Post effect "${effect.id}" is already registered`);
+    }
+    POST_EFFECTS.push({ params: [], feedback: null, helpers: '', ...effect });
+}
+
+function getPostEffect(id) {
+    return POST_EFFECTS.find(e => e.id === id) || null;
+}
+
+// Known ids from a scene's list, without repeats
+function postEffectsFromScene(ids) {
+    return ids.filter((id, i) => getPostEffect(id) && ids.indexOf(id) === i);
+}
+
+function buildPostEffectShader(effect) {
+    const uniforms = effect.params.map(p => `uniform float u_${p.key};`);
+    if (effect.feedback) uniforms.push('uniform float u_exposure;');
+    return `#version 300 es
+precision highp float;
+precision highp sampler3D;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_image;
+uniform vec4 u_frame;
+uniform float u_time;
+${uniforms.join('\n')}
+
+vec3 image(vec2 p) {
+    return texture(u_image, (p * u_frame.zw - u_frame.xy) / vec2(textureSize(u_image, 0))).rgb;
+}
+
+${effect.helpers}
+vec3 postEffect(vec2 p, vec2 px) {
+${effect.glsl}
+}
+
+void main() {
+    vec2 px = gl_FragCoord.xy + u_frame.xy;
+    fragColor = vec4(postEffect(px / u_frame.zw, px), 1.0);
+}`;
+}
+
+// ============ COLOR GRADES ============
+
+const COLOR_GRADE_SIZE = 16; // Lookup table texels per side
+
+function luminance([r, g, b]) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function sCurve(x, amount) {
+    const curved = x * x * (3 - 2 * x);
+    return x + (curved - x) * amount;
+}
+
+// Looks for the grade effect (config.colorGrade indexes into this), as functions from an
+// sRGB color to the graded one. Baked into a 3D lookup table by buildColorGradeData().
+const COLOR_GRADES = [
+    { name: 'Warm', grade: ([r, g, b]) => [r * 1.08 + 0.02, g * 1.01, b * 0.86] },
+    { name: 'Cool', grade: ([r, g, b]) => [r * 0.88, g * 1.0, b * 1.08 + 0.03] },
+    {
+        name: 'Teal & Orange',
+        grade: rgb => {
+            const l = luminance(rgb);
+            const shadows = [0, 0.08, 0.1];
+            const highlights = [0.1, 0.03, -0.08];
+            return rgb.map((c, i) => sCurve(c, 0.3) + shadows[i] * (1 - l) + highlights[i] * l);
+        }
+    },
+    {
+        name: 'Bleach Bypass',
+        grade: rgb => {
+            const l = sCurve(luminance(rgb), 1);
+            return rgb.map(c => c + (l - c) * 0.6);
+        }
+    },
+    {
+        name: 'Sepia',
+        grade: ([r, g, b]) => [
+            0.393 * r + 0.769 * g + 0.189 * b,
+            0.349 * r + 0.686 * g + 0.168 * b,
+            0.272 * r + 0.534 * g + 0.131 * b
+        ]
+    },
+    { name: 'Cross Process', grade: ([r, g, b]) => [sCurve(r, 0.8), sCurve(g, 0.4) * 1.05, b * 0.7 + 0.15] },
+    { name: 'Noir', grade: rgb => { const l = sCurve(sCurve(luminance(rgb), 1), 1); return [l, l, l]; } }
+];
+
+// RGBA8 texels for a COLOR_GRADE_SIZE cube, red varying fastest
+function buildColorGradeData(grade) {
+    const size = COLOR_GRADE_SIZE;
+    const data = new Uint8Array(size * size * size * 4);
+    let offset = 0;
+    for (let b = 0; b < size; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                const color = grade.grade([r, g, b].map(c => c / (size - 1)));
+                for (let i = 0; i < 3; i++) {
+                    data[offset + i] = Math.round(Math.min(1, Math.max(0, color[i])) * 255);
+                }
+                data[offset + 3] = 255;
+                offset += 4;
+            }
+        }
+    }
+    return data;
+}
+
+// ============ BUILT-IN EFFECTS ============
+
+registerPostEffect({
+    id: 'chromatic',
+    name: 'Chromatic Aberration',
+    params: [{ key: 'chromaticAberration', label: 'Strength' }],
+    // Red and blue are pulled apart along lines from the center, more toward the edges
+    glsl: `    vec2 offset = (p - 0.5) * u_chromaticAberration * 0.01;
+    return vec3(image(p + offset).r, image(p).g, image(p - offset).b);`
+});
+
+registerPostEffect({
+    id: 'vignette',
+    name: 'Vignette',
+    params: [
+        { key: 'vignetteStrength', label: 'Strength' },
+        { key: 'vignetteSize', label: 'Size' }
+    ],
+    // Distance is 0 at the center and 1 in the corners
+    glsl: `    float d = length((p - 0.5) * u_frame.zw) / length(u_frame.zw * 0.5);
+    return image(p) * (1.0 - u_vignetteStrength * smoothstep(u_vignetteSize, u_vignetteSize + 0.5, d));`
+});
+
+registerPostEffect({
+    id: 'grain',
+    name: 'Film Grain',
+    params: [
+        { key: 'grainAmount', label: 'Amount' },
+        { key: 'grainSize', label: 'Size' }
+    ],
+    helpers: `// Integer hash (Chris Wellons' lowbias32) for per-pixel, per-frame noise
+float grainHash(uvec3 v) {
+    uint h = v.x * 73856093u ^ v.y * 19349663u ^ v.z * 83492791u;
+    h ^= h >> 16;
+    h *= 0x7feb352du;
+    h ^= h >> 15;
+    h *= 0x846ca68bu;
+    h ^= h >> 16;
+    return float(h) / 4294967295.0;
+}
+`,
+    glsl: `    uvec3 cell = uvec3(ivec3(floor(px / u_grainSize), u_time));
+    return max(image(p) + (grainHash(cell) - 0.5) * u_grainAmount, 0.0);`
+});
+
+registerPostEffect({
+    id: 'kaleidoscope',
+    name: 'Kaleidoscope',
+    params: [
+        { key: 'kaleidoscopeSegments', label: 'Segments' },
+        { key: 'kaleidoscopeRotation', label: 'Rotation' }
+    ],
+    // The angle around the center is folded into one wedge, mirrored so the seams match.
+    // Tiled posters can only fold in their own tile; points beyond it clamp to the edge.
+    glsl: `    vec2 center = u_frame.zw * 0.5;
+    vec2 d = px - center;
+    float wedge = 6.28318530718 / u_kaleidoscopeSegments;
+    float rotation = radians(u_kaleidoscopeRotation);
+    float angle = mod(atan(d.y, d.x) - rotation, wedge);
+    angle = min(angle, wedge - angle) + rotation;
+    return image((center + vec2(cos(angle), sin(angle)) * length(d)) / u_frame.zw);`
+});
+
+registerPostEffect({
+    id: 'grade',
+    name: 'Color Grade',
+    params: [
+        { key: 'colorGrade', label: 'Look', options: COLOR_GRADES.map(g => g.name) },
+        { key: 'colorGradeMix', label: 'Mix' }
+    ],
+    helpers: `uniform sampler3D u_gradeTable; // config.colorGrade baked by buildColorGradeData()
+`,
+    // Half-texel inset so 0 and 1 land on the first and last texel centers
+    glsl: `    vec3 color = image(p);
+    const float size = ${COLOR_GRADE_SIZE}.0;
+    vec3 graded = texture(u_gradeTable, clamp(color, 0.0, 1.0) * ((size - 1.0) / size) + 0.5 / size).rgb;
+    return mix(color, graded, u_colorGradeMix);`
+});
+
+registerPostEffect({
+    id: 'feedback',
+    name: 'Feedback',
+    params: [
+        { key: 'feedbackAmount', label: 'Amount' },
+        { key: 'feedbackZoom', label: 'Zoom' },
+        { key: 'feedbackRotation', label: 'Rotation' }
+    ],
+    feedback: 'feedbackAmount',
+    // The image so far, scaled and turned about the center, goes back into the trail each frame,
+    // so it streams outward (zoom above 1) or inward and spirals with rotation. Divided by
+    // exposure since the trail is stored before it.
+    glsl: `    vec2 center = u_frame.zw * 0.5;
+    float angle = radians(u_feedbackRotation);
+    vec2 d = mat2(cos(angle), -sin(angle), sin(angle), cos(angle)) * (px - center) / u_feedbackZoom;
+    return image((center + d) / u_frame.zw) / u_exposure;`
+});
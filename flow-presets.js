@@ -0,0 +1,158 @@
+// Flow Fields - Preset Library
+// Named scenes saved to localStorage, plus a set of built-in curated presets
+
+const PRESET_STORAGE_KEY = 'flowfields-presets';
+const PRESET_FILE_FORMAT = 'flowfields-presets';
+
+// Neutral values every built-in starts from, so loading one fully replaces the previous look.
+// Schema defaults (flow-core.js) minus the keys that belong to the run rather than the look.
+const PRESET_BASE = Object.fromEntries(
+    Object.entries(SCENE_CONFIG)
+        .filter(([key]) => !['particleCount', 'seed', 'time', 'imageFlowMode', 'imageFlowMix', 'imageColorMix'].includes(key))
+        .map(([key, schema]) => [key, schema.default])
+);
+
+const BUILTIN_PRESETS = [
+    {
+        name: 'Silk',
+        scene: {
+            config: { ...PRESET_BASE, noiseMode: 0, colorScheme: 2, speed: 0.6, fadeAmount: 0.01, brownianMotion: 0.2, particleOpacity: 0.06, noiseScale: 0.002 },
+            postEffects: [],
+            forceFields: []
+        }
+    },
+    {
+        name: 'Galaxy',
+        scene: {
+            config: { ...PRESET_BASE, noiseMode: 5, colorScheme: 7, globalSwirl: 0.8, brownianMotion: 0.4, friction: 0.01, fadeAmount: 0.05, particleOpacity: 0.1 },
+            postEffects: [],
+            forceFields: [
+                { x: 0.5, y: 0.5, type: 3, strength: 140, radius: 400, rotation: 1, life: 5000, vx: 0, vy: 0 }
+            ]
+        }
+    },
+    {
+        name: 'Ember',
+        scene: {
+            config: { ...PRESET_BASE, noiseMode: 2, colorScheme: 3, speed: 1.4, globalGravity: -0.3, fadeAmount: 0.06, respawnRate: 0.006 },
+            postEffects: [],
+            forceFields: []
+        }
+    },
+    {
+        name: 'Whirlpools',
+        scene: {
+            config: { ...PRESET_BASE, noiseMode: 4, colorScheme: 5, backgroundStrength: 0.7, forceFieldStrength: 1.5, brownianMotion: 0.5 },
+            postEffects: [],
+            maxForceFields: 16,
+            forceFields: [
+                { x: 0.3, y: 0.4, type: 2, strength: 120, radius: 250, rotation: 1, life: 5000, vx: 0.1, vy: 0.05 },
+                { x: 0.7, y: 0.6, type: 2, strength: 120, radius: 250, rotation: -1, life: 5000, vx: -0.1, vy: -0.05 }
+            ]
+        }
+    },
+    {
+        name: 'Velocity Map',
+        scene: {
+            config: { ...PRESET_BASE, noiseMode: 1, colorScheme: 11, speed: 1.5, fadeAmount: 0.08, brownianMotion: 0.3, forceSpawnRate: 1, forceLifetime: 2 },
+            postEffects: []
+        }
+    },
+    {
+        name: 'Charged Plasma',
+        scene: {
+            config: { ...PRESET_BASE, noiseMode: 5, colorScheme: 13, chargeInteraction: 1.5, chargeRatio: 0.5, brownianMotion: 0.8, friction: 0.02, fadeAmount: 0.08 },
+            postEffects: []
+        }
+    },
+    {
+        name: 'Monochrome Zones',
+        scene: {
+            config: { ...PRESET_BASE, noiseMode: 3, colorScheme: 9, zonesEnabled: true, zonesStrength: 1.3, particleOpacity: 0.08, fadeAmount: 0.02 },
+            postEffects: []
+        }
+    }
+];
+
+function loadUserPresets() {
+    try {
+        const presets = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY));
+        return Array.isArray(presets) ? presets : [];
+    } catch (e) {
+        console.error('Failed to read presets:', e);
+        return [];
+    }
+}
+
+function saveUserPresets(presets) {
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+function getBuiltinPreset(name) {
+    return BUILTIN_PRESETS.find(p => p.name === name) || null;
+}
+
+function getUserPreset(name) {
+    return loadUserPresets().find(p => p.name === name) || null;
+}
+
+// Save (or overwrite) a user preset
+function storePreset(name, scene) {
+    const presets = loadUserPresets().filter(p => p.name !== name);
+    presets.push({ name, scene, savedAt: Date.now() });
+    saveUserPresets(presets);
+}
+
+function renamePreset(oldName, newName) {
+    if (getBuiltinPreset(newName)) {
+        throw new Error(`"${newName}" is a built-in preset name`);
+    }
+    const presets = loadUserPresets();
+    if (presets.some(p => p.name === newName)) {
+        throw new Error(`A preset named "${newName}" already exists`);
+    }
+    const preset = presets.find(p => p.name === oldName);
+    if (!preset) return;
+    preset.name = newName;
+    saveUserPresets(presets);
+}
+
+function deletePreset(name) {
+    saveUserPresets(loadUserPresets().filter(p => p.name !== name));
+}
+
+function exportPresetsJSON(presets) {
+    return JSON.stringify({ format: PRESET_FILE_FORMAT, version: 1, presets }, null, 2);
+}
+
+// Import presets from exported JSON (a preset file or a single preset).
+// Names that already exist get a numbered suffix. Returns the imported names.
+function importPresetsJSON(text) {
+    const data = JSON.parse(text);
+    let incoming;
+    if (data && data.format === PRESET_FILE_FORMAT && Array.isArray(data.presets)) {
+        incoming = data.presets;
+    } else if (data && typeof data.name === 'string' && data.scene) {
+        incoming = [data];
+    } else {
+        throw new Error('Not a Flow Fields preset file');
+    }
+
+    const presets = loadUserPresets();
+    const taken = new Set([...presets.map(p => p.name), ...BUILTIN_PRESETS.map(p => p.name)]);
+    const imported = [];
+
+    for (const preset of incoming) {
+        if (typeof preset.name !== 'string' || !preset.scene || typeof preset.scene !== 'object') continue;
+        let name = preset.name;
+        for (let i = 2; taken.has(name); i++) {
+            name = `${preset.name} (${i})`;
+        }
+        taken.add(name);
+        presets.push({ name, scene: preset.scene, savedAt: Date.now() });
+        imported.push(name);
+    }
+
+    saveUserPresets(presets);
+    return imported;
+}
@@ -0,0 +1,775 @@
+// Flow Fields - CPU Simulation
+// The Canvas 2D version's physics with no DOM: noise modes, force fields, particle interactions,
+// mouse influence and respawning. flow.js steps it and draws to a canvas; in Node, flow-node.js
+// loads it and renderToBuffer() rasterizes frames into an RGBA buffer instead.
+// Coordinates are pixels with y up, like the WebGL version. Load after flow-core.js and
+// flow-streamlines.js.
+
+// Canvas 2D can't keep up with WebGL particle counts - scenes from the WebGL version are capped
+const CPU_MAX_PARTICLES = 20000;
+
+// Defaults that differ from the shared schema, since the CPU version runs far fewer particles
+const CPU_CONFIG_DEFAULTS = {
+    particleCount: 5000,
+    forceSpawnRate: 0.5
+};
+
+// Spatial grid cell size for particle interactions (efficient neighbor lookup)
+const GRID_CELL_SIZE = 40;
+
+// Curl noise velocity scale - brings the mean flow speed to about 1 like the angle-based modes
+const CURL_SCALE = 0.5;
+
+// Simplex noise implementation (simplified Perlin-like noise)
+class NoiseGenerator {
+    constructor(seed = Math.random() * 10000) {
+        this.seed = seed;
+        this.perm = new Uint8Array(512);
+        this.gradP = new Array(512);
+
+        const grad3 = [
+            [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
+            [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
+            [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
+        ];
+
+        const p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) p[i] = i;
+
+        // Shuffle based on seed
+        let n = seed;
+        for (let i = 255; i > 0; i--) {
+            n = (n * 16807) % 2147483647;
+            const j = n % (i + 1);
+            [p[i], p[j]] = [p[j], p[i]];
+        }
+
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = p[i & 255];
+            this.gradP[i] = grad3[this.perm[i] % 12];
+        }
+    }
+
+    dot(g, x, y) {
+        return g[0] * x + g[1] * y;
+    }
+
+    noise2D(x, y) {
+        const F2 = 0.5 * (Math.sqrt(3) - 1);
+        const G2 = (3 - Math.sqrt(3)) / 6;
+
+        let s = (x + y) * F2;
+        let i = Math.floor(x + s);
+        let j = Math.floor(y + s);
+
+        let t = (i + j) * G2;
+        let X0 = i - t;
+        let Y0 = j - t;
+        let x0 = x - X0;
+        let y0 = y - Y0;
+
+        let i1, j1;
+        if (x0 > y0) { i1 = 1; j1 = 0; }
+        else { i1 = 0; j1 = 1; }
+
+        let x1 = x0 - i1 + G2;
+        let y1 = y0 - j1 + G2;
+        let x2 = x0 - 1 + 2 * G2;
+        let y2 = y0 - 1 + 2 * G2;
+
+        i &= 255;
+        j &= 255;
+
+        let gi0 = this.gradP[i + this.perm[j]];
+        let gi1 = this.gradP[i + i1 + this.perm[j + j1]];
+        let gi2 = this.gradP[i + 1 + this.perm[j + 1]];
+
+        let n0, n1, n2;
+
+        let t0 = 0.5 - x0*x0 - y0*y0;
+        if (t0 < 0) n0 = 0;
+        else {
+            t0 *= t0;
+            n0 = t0 * t0 * this.dot(gi0, x0, y0);
+        }
+
+        let t1 = 0.5 - x1*x1 - y1*y1;
+        if (t1 < 0) n1 = 0;
+        else {
+            t1 *= t1;
+            n1 = t1 * t1 * this.dot(gi1, x1, y1);
+        }
+
+        let t2 = 0.5 - x2*x2 - y2*y2;
+        if (t2 < 0) n2 = 0;
+        else {
+            t2 *= t2;
+            n2 = t2 * t2 * this.dot(gi2, x2, y2);
+        }
+
+        return 70 * (n0 + n1 + n2);
+    }
+
+    dot3(g, x, y, z) {
+        return g[0] * x + g[1] * y + g[2] * z;
+    }
+
+    noise3D(x, y, z) {
+        const F3 = 1 / 3;
+        const G3 = 1 / 6;
+
+        const s = (x + y + z) * F3;
+        let i = Math.floor(x + s);
+        let j = Math.floor(y + s);
+        let k = Math.floor(z + s);
+
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Which simplex of the cube we're in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const corners = [
+            [x0, y0, z0, 0, 0, 0],
+            [x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i1, j1, k1],
+            [x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, i2, j2, k2],
+            [x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, 1, 1, 1]
+        ];
+
+        i &= 255;
+        j &= 255;
+        k &= 255;
+
+        let n = 0;
+        for (const [cx, cy, cz, di, dj, dk] of corners) {
+            let tc = 0.6 - cx * cx - cy * cy - cz * cz;
+            if (tc < 0) continue;
+            const g = this.gradP[i + di + this.perm[j + dj + this.perm[k + dk]]];
+            tc *= tc;
+            n += tc * tc * this.dot3(g, cx, cy, cz);
+        }
+
+        return 32 * n;
+    }
+
+    // Divergence-free flow: the curl of an fBm potential sampled on a moving z slice.
+    // Returns { x, y } at roughly unit scale.
+    curl2D(x, y, z, octaves) {
+        const eps = 0.01;
+        let dx = 0, dy = 0, norm = 0;
+        let frequency = 1, amplitude = 1;
+        for (let o = 0; o < octaves; o++) {
+            const px = x * frequency, py = y * frequency, pz = z + o * 17.3;
+            // Potential weights fall off faster than the frequency rises, so each octave adds less velocity
+            const w = amplitude / frequency;
+            dx += w * (this.noise3D(px + eps, py, pz) - this.noise3D(px - eps, py, pz)) / (2 * eps);
+            dy += w * (this.noise3D(px, py + eps, pz) - this.noise3D(px, py - eps, pz)) / (2 * eps);
+            norm += w;
+            frequency *= 2;
+            amplitude *= 0.5;
+        }
+        return { x: dy / norm * CURL_SCALE, y: -dx / norm * CURL_SCALE };
+    }
+}
+
+
+// HSL (degrees, 0-100, 0-100) to [r, g, b] in 0-1, for velocity coloring in buffer renders
+function hslToRgb(h, s, l) {
+    s /= 100;
+    l /= 100;
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return [0, 8, 4].map(n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1)));
+}
+
+// ============ SIMULATION ============
+
+class FlowSimulation {
+    constructor(width, height, config = {}) {
+        this.width = width;
+        this.height = height;
+
+        // Keys, defaults and units are shared with the WebGL version (see flow-core.js).
+        // The object is only ever mutated, so callers can hold on to it.
+        this.config = createSceneConfig('cpu', { ...CPU_CONFIG_DEFAULTS, ...config });
+        this.config.particleCount = Math.min(CPU_MAX_PARTICLES, this.config.particleCount);
+
+        // Mouse position in simulation coordinates
+        this.mouse = {
+            x: null,
+            y: null,
+            active: false,
+            ...SCENE_MOUSE_DEFAULTS
+        };
+
+        // Force fields are plain objects in the shared model (see createForceField in flow-core.js)
+        this.forceFields = [];
+        this.maxForceFields = 15;
+        this.enabledForceTypes = FORCE_TYPES.map(() => true); // Which types can auto-spawn
+
+        // Shared palettes (flow-palettes.js); scenes can add custom ones after the built-ins
+        this.palettes = [...BUILTIN_PALETTES];
+        this.paletteData = null;
+
+        this.particles = [];
+        this.spatialGrid = {};
+
+        this.reseed(this.config.seed);
+    }
+
+    // Restart from frame 0 with the given seed. The same seed and config replay the same run.
+    reseed(seed) {
+        this.config.seed = seed >>> 0;
+        this.config.time = 0;
+        this.random = createSeededRandom(this.config.seed);
+        this.noise = new NoiseGenerator(this.config.seed % 2147483646 + 1);
+        this.forceFields = [];
+        this.resetParticles();
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.resetParticles();
+    }
+
+    resetParticles() {
+        this.particles = [];
+        for (let i = 0; i < this.config.particleCount; i++) {
+            this.particles.push(this.createParticle());
+        }
+    }
+
+    // Add or remove particles to match the count, keeping the rest where they are
+    setParticleCount(count) {
+        this.config.particleCount = Math.min(CPU_MAX_PARTICLES, count);
+        while (this.particles.length < this.config.particleCount) {
+            this.particles.push(this.createParticle());
+        }
+        this.particles.length = this.config.particleCount;
+    }
+
+    // ============ PARTICLES ============
+
+    createParticle() {
+        const particle = {};
+        this.resetParticle(particle);
+        return particle;
+    }
+
+    resetParticle(particle) {
+        particle.x = this.random() * this.width;
+        particle.y = this.random() * this.height;
+        particle.prevX = particle.x;
+        particle.prevY = particle.y;
+        particle.speed = this.config.speed * (0.75 + this.random() * 0.5); // Averages config.speed
+        particle.colorT = this.random(); // Position along the palette gradient
+        particle.life = 0;
+        particle.maxLife = 100 + this.random() * 200;
+        particle.velocity = 0; // Track current velocity for color
+    }
+
+    buildSpatialGrid() {
+        this.spatialGrid = {};
+        for (const particle of this.particles) {
+            const key = `${Math.floor(particle.x / GRID_CELL_SIZE)},${Math.floor(particle.y / GRID_CELL_SIZE)}`;
+            if (!this.spatialGrid[key]) this.spatialGrid[key] = [];
+            this.spatialGrid[key].push(particle);
+        }
+    }
+
+    getNearbyParticles(x, y, radius) {
+        const nearby = [];
+        const cellRadius = Math.ceil(radius / GRID_CELL_SIZE);
+        const gx = Math.floor(x / GRID_CELL_SIZE);
+        const gy = Math.floor(y / GRID_CELL_SIZE);
+
+        for (let dx = -cellRadius; dx <= cellRadius; dx++) {
+            for (let dy = -cellRadius; dy <= cellRadius; dy++) {
+                const cell = this.spatialGrid[`${gx + dx},${gy + dy}`];
+                if (cell) {
+                    nearby.push(...cell);
+                }
+            }
+        }
+        return nearby;
+    }
+
+    // Unit-scale background flow at a position for the current noise mode
+    getNoiseFlow(x, y) {
+        const config = this.config;
+        const noise = this.noise;
+        const time = config.time;
+        const nx = x * config.noiseScale + time * 0.0001;
+        const ny = y * config.noiseScale + time * 0.0001;
+
+        if (config.noiseMode === 6) { // Curl - divergence-free, so particles don't clump in sinks
+            return noise.curl2D(nx, ny, time * 0.002 * config.curlEvolution, config.curlOctaves);
+        }
+
+        let noiseVal;
+        switch (config.noiseMode) {
+            case 0: // Classic - single noise layer
+                noiseVal = noise.noise2D(nx, ny);
+                break;
+            case 1: { // Turbulent fBm - octaves with halving amplitude
+                noiseVal = 0;
+                let amplitude = 0.5;
+                for (let o = 0, f = 1; o < config.turbulenceOctaves; o++, f *= 2) {
+                    noiseVal += noise.noise2D(nx * f, ny * f) * amplitude;
+                    amplitude *= 0.5;
+                }
+                break;
+            }
+            case 2: // Ridged multifractal - sharp ridges
+                noiseVal = 1 - Math.abs(noise.noise2D(nx, ny));
+                noiseVal *= noiseVal; // Square for sharper ridges
+                noiseVal += (1 - Math.abs(noise.noise2D(nx * 2, ny * 2))) * 0.5;
+                noiseVal += (1 - Math.abs(noise.noise2D(nx * 4, ny * 4))) * 0.25;
+                noiseVal = noiseVal * 0.7 - 0.5; // Normalize
+                break;
+            case 3: // Billow - soft puffy clouds
+                noiseVal = Math.abs(noise.noise2D(nx, ny)) * 0.5 +
+                           Math.abs(noise.noise2D(nx * 2, ny * 2)) * 0.25 +
+                           Math.abs(noise.noise2D(nx * 4, ny * 4)) * 0.125;
+                noiseVal = noiseVal * 2 - 0.5;
+                break;
+            case 4: { // Warp - domain warping for swirly organic shapes
+                const warpX = noise.noise2D(nx, ny) * config.warpAmount;
+                const warpY = noise.noise2D(nx + 5.2, ny + 1.3) * config.warpAmount;
+                noiseVal = noise.noise2D(nx + warpX, ny + warpY);
+                noiseVal += noise.noise2D((nx + warpX) * 2, (ny + warpY) * 2) * 0.5;
+                break;
+            }
+            default: // Forces only - no background
+                return { x: 0, y: 0 };
+        }
+
+        const angle = noiseVal * Math.PI * 4;
+        return { x: Math.cos(angle), y: Math.sin(angle) };
+    }
+
+    updateParticle(particle) {
+        const config = this.config;
+        const mouse = this.mouse;
+        const time = config.time;
+
+        particle.prevX = particle.x;
+        particle.prevY = particle.y;
+
+        // Background flow from the noise field
+        const flow = this.getNoiseFlow(particle.x, particle.y);
+        let moveX = flow.x * particle.speed * config.backgroundStrength;
+        let moveY = flow.y * particle.speed * config.backgroundStrength;
+
+        // Add brownian motion (random jitter)
+        if (config.brownianMotion > 0) {
+            moveX += (this.random() - 0.5) * config.brownianMotion;
+            moveY += (this.random() - 0.5) * config.brownianMotion;
+        }
+
+        // Apply force fields with configurable strength
+        for (const field of this.forceFields) {
+            const force = getForceFieldForce(field, particle.x, particle.y, time, (x, y) => this.noise.noise2D(x, y));
+            moveX += force.x * config.forceFieldStrength;
+            moveY += force.y * config.forceFieldStrength;
+        }
+
+        // Global gravity pulls down
+        if (config.globalGravity !== 0) {
+            moveY -= config.globalGravity;
+        }
+
+        // Particle interactions
+        if (config.particleInteraction !== 'none') {
+            const nearby = this.getNearbyParticles(particle.x, particle.y, config.interactionRadius);
+            let interactX = 0, interactY = 0;
+            let alignX = 0, alignY = 0;
+            let neighborCount = 0;
+
+            // Determine interaction mode - for 'zones' mode, use noise to vary by position
+            let activeMode = config.particleInteraction;
+            if (config.particleInteraction === 'zones') {
+                const zoneNoise = this.noise.noise2D(particle.x * 0.005 + time * 0.0002, particle.y * 0.005);
+                if (zoneNoise < -0.3) {
+                    activeMode = 'attract';
+                } else if (zoneNoise > 0.3) {
+                    activeMode = 'repel';
+                } else {
+                    activeMode = 'align';
+                }
+            }
+
+            for (const other of nearby) {
+                if (other === particle) continue;
+
+                const dx = other.x - particle.x;
+                const dy = other.y - particle.y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+
+                if (dist > 0 && dist < config.interactionRadius) {
+                    neighborCount++;
+                    const force = (config.interactionRadius - dist) / config.interactionRadius;
+
+                    switch (activeMode) {
+                        case 'attract':
+                            // Pull toward neighbors
+                            interactX += (dx / dist) * force;
+                            interactY += (dy / dist) * force;
+                            break;
+                        case 'repel':
+                            // Push away from neighbors
+                            interactX -= (dx / dist) * force * 2;
+                            interactY -= (dy / dist) * force * 2;
+                            break;
+                        case 'align':
+                            // Track average direction of neighbors
+                            alignX += other.x - other.prevX;
+                            alignY += other.y - other.prevY;
+                            break;
+                    }
+                }
+            }
+
+            if (neighborCount > 0) {
+                if (activeMode === 'align') {
+                    // Blend toward average neighbor direction
+                    alignX /= neighborCount;
+                    alignY /= neighborCount;
+                    const alignMag = Math.sqrt(alignX * alignX + alignY * alignY);
+                    if (alignMag > 0) {
+                        moveX = moveX * 0.7 + (alignX / alignMag) * particle.speed * 0.3 * config.interactionStrength;
+                        moveY = moveY * 0.7 + (alignY / alignMag) * particle.speed * 0.3 * config.interactionStrength;
+                    }
+                } else {
+                    moveX += interactX * config.interactionStrength * 0.5;
+                    moveY += interactY * config.interactionStrength * 0.5;
+                }
+            }
+        }
+
+        // Mouse interaction - different modes
+        if (mouse.active && mouse.x !== null) {
+            const dx = particle.x - mouse.x;
+            const dy = particle.y - mouse.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist < mouse.radius && dist > 5) {
+                const force = (mouse.radius - dist) / mouse.radius * mouse.strength;
+
+                switch (MOUSE_MODES[mouse.mode]) {
+                    case 'vortex': {
+                        // Swirl around mouse
+                        const swirlAngle = Math.atan2(dy, dx) + Math.PI / 2;
+                        const newAngle = Math.atan2(moveY, moveX);
+                        const blendedAngle = newAngle * (1 - force * 0.8) + swirlAngle * force * 0.8;
+                        const speed = Math.sqrt(moveX * moveX + moveY * moveY);
+                        moveX = Math.cos(blendedAngle) * speed * (1 + force);
+                        moveY = Math.sin(blendedAngle) * speed * (1 + force);
+                        break;
+                    }
+                    case 'attract':
+                        // Pull toward mouse
+                        moveX -= (dx / dist) * force * 3;
+                        moveY -= (dy / dist) * force * 3;
+                        break;
+                    case 'repel':
+                        // Push away from mouse
+                        moveX += (dx / dist) * force * 3;
+                        moveY += (dy / dist) * force * 3;
+                        break;
+                }
+            }
+        }
+
+        // Store velocity for color
+        particle.velocity = Math.sqrt(moveX * moveX + moveY * moveY);
+
+        particle.x += moveX;
+        particle.y += moveY;
+        particle.life++;
+
+        // Wrap around edges like the WebGL version, without drawing a streak across the canvas
+        if (particle.x < 0 || particle.x >= this.width || particle.y < 0 || particle.y >= this.height) {
+            particle.x = ((particle.x % this.width) + this.width) % this.width;
+            particle.y = ((particle.y % this.height) + this.height) % this.height;
+            particle.prevX = particle.x;
+            particle.prevY = particle.y;
+        }
+
+        if (particle.life > particle.maxLife) {
+            this.resetParticle(particle);
+        }
+    }
+
+    // Position along the palette, driven by the palette's source
+    getParticlePaletteT(particle) {
+        switch (this.palettes[Math.floor(this.config.colorScheme)].source) {
+            case 'velocity':
+                return Math.min(particle.velocity / 8, 1);
+            case 'direction':
+                return (Math.atan2(particle.y - particle.prevY, particle.x - particle.prevX) + Math.PI) / (Math.PI * 2);
+            case 'charge':
+                return particle.colorT < 0.5 ? 1 : 0;
+            case 'density': {
+                // Particles sharing the spatial grid cell, relative to the average per cell
+                const cell = this.spatialGrid[`${Math.floor(particle.x / GRID_CELL_SIZE)},${Math.floor(particle.y / GRID_CELL_SIZE)}`];
+                const average = this.particles.length * GRID_CELL_SIZE * GRID_CELL_SIZE / (this.width * this.height);
+                const density = (cell ? cell.length : 0) / average;
+                return density / (density + 1);
+            }
+            default:
+                return particle.colorT;
+        }
+    }
+
+    // Opacity over the particle's life: quick fade-in, then a quadratic fade that stays bright
+    // longer. Fading out fully prevents grey buildup from alpha blending artifacts.
+    getParticleAlpha(particle) {
+        const lifeRatio = particle.life / particle.maxLife;
+        let alpha = 1.0 - (lifeRatio * lifeRatio);
+        const fadeInSpeed = 10 / this.config.trailLength;
+        if (particle.life < fadeInSpeed) alpha *= particle.life / fadeInSpeed;
+        return alpha;
+    }
+
+    // ============ FORCE FIELDS ============
+
+    // Add a field of the named type ('sink', 'vortex', ...), or a random enabled type.
+    // Without a position it lands somewhere random. Returns the field, or null if none was added.
+    spawnForceField(typeId = null, x = null, y = null) {
+        if (this.forceFields.length >= this.maxForceFields) return null;
+        const type = typeId ? FORCE_TYPES.findIndex(t => t.id === typeId) : pickForceType(this.enabledForceTypes, this.random);
+        if (type < 0) return null;
+
+        const field = createForceField(
+            x !== null ? x : this.random() * this.width,
+            y !== null ? y : this.random() * this.height,
+            type, this.config, this.random
+        );
+        this.forceFields.push(field);
+        return field;
+    }
+
+    clearForceFields() {
+        this.forceFields = [];
+    }
+
+    // ============ STEP ============
+
+    // Advance one frame
+    step() {
+        const config = this.config;
+
+        // Randomly spawn force fields (forceSpawnRate per second, boosted in Forces Only mode)
+        const effectiveSpawnRate = config.noiseMode === 5 ? config.forceSpawnRate * 3 : config.forceSpawnRate;
+        if (this.random() < effectiveSpawnRate / 60 && this.forceFields.length < this.maxForceFields) {
+            this.spawnForceField();
+        }
+
+        stepForceFields(this.forceFields, this.width, this.height);
+
+        // The grid also feeds the Density palette source
+        if (config.particleInteraction !== 'none' ||
+            this.palettes[Math.floor(config.colorScheme)].source === 'density') {
+            this.buildSpatialGrid();
+        }
+
+        for (const particle of this.particles) {
+            this.updateParticle(particle);
+        }
+
+        // In Forces Only mode, continuously spawn new particles at random positions
+        // to keep things lively even in areas without force fields
+        if (config.noiseMode === 5) {
+            const spawnCount = Math.floor(config.particleCount * 0.002); // ~0.2% per frame
+            for (let i = 0; i < spawnCount; i++) {
+                const particle = this.particles[Math.floor(this.random() * this.particles.length)];
+                if (particle.life > 50) { // Only reset older particles
+                    this.resetParticle(particle);
+                }
+            }
+        }
+
+        // Respawn rate - the chance each particle restarts at a random position each frame
+        if (config.respawnRate > 0) {
+            const spawnCount = Math.floor(config.particleCount * config.respawnRate);
+            for (let i = 0; i < spawnCount; i++) {
+                this.resetParticle(this.particles[Math.floor(this.random() * this.particles.length)]);
+            }
+        }
+
+        config.time++;
+    }
+
+    // ============ RENDERING ============
+
+    // Palette colors as RGBA8 rows of PALETTE_SIZE texels, rebuilt when scenes add palettes
+    getPaletteData() {
+        if (!this.paletteData || this.paletteData.length !== this.palettes.length * PALETTE_SIZE * 4) {
+            this.paletteData = buildPaletteData(this.palettes);
+        }
+        return this.paletteData;
+    }
+
+    // Draw the last step into an RGBA8 buffer (width * height * 4, rows top to bottom) the way
+    // flow.js draws to its canvas: fade toward black by fadeAmount, then a line per particle from
+    // its previous position. Pass the same buffer every frame to build up trails.
+    renderToBuffer(buffer = new Uint8ClampedArray(this.width * this.height * 4)) {
+        const { width, height, config } = this;
+        const keep = 1 - config.fadeAmount;
+        for (let i = 0; i < buffer.length; i += 4) {
+            buffer[i] *= keep;
+            buffer[i + 1] *= keep;
+            buffer[i + 2] *= keep;
+            buffer[i + 3] = 255;
+        }
+
+        const paletteData = this.getPaletteData();
+        const row = Math.floor(config.colorScheme) * PALETTE_SIZE;
+        for (const particle of this.particles) {
+            const alpha = this.getParticleAlpha(particle) * 0.7;
+            if (alpha <= 0) continue;
+
+            let r, g, b;
+            if (config.velocityColor) {
+                const lightness = 50 + Math.min(particle.velocity * 5, 30);
+                [r, g, b] = hslToRgb((particle.velocity / 8) * 360 % 360, 80, lightness).map(c => c * 255);
+            } else {
+                const texel = (row + Math.round(this.getParticlePaletteT(particle) * (PALETTE_SIZE - 1))) * 4;
+                r = paletteData[texel];
+                g = paletteData[texel + 1];
+                b = paletteData[texel + 2];
+            }
+
+            // One pixel per step along the segment, blended over what's there
+            const dx = particle.x - particle.prevX;
+            const dy = particle.y - particle.prevY;
+            const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy))));
+            for (let s = 0; s <= steps; s++) {
+                const px = Math.floor(particle.prevX + dx * s / steps);
+                const py = height - 1 - Math.floor(particle.prevY + dy * s / steps);
+                if (px < 0 || px >= width || py < 0 || py >= height) continue;
+                const i = (py * width + px) * 4;
+                buffer[i] += (r - buffer[i]) * alpha;
+                buffer[i + 1] += (g - buffer[i + 1]) * alpha;
+                buffer[i + 2] += (b - buffer[i + 2]) * alpha;
+            }
+        }
+        return buffer;
+    }
+
+    // ============ STREAMLINES ============
+
+    // The steady part of updateParticle(): background flow at the mean particle speed, force
+    // fields and gravity. Brownian motion, interactions and the mouse have no fixed value at a point.
+    getFieldVelocity(x, y) {
+        const config = this.config;
+        const flow = this.getNoiseFlow(x, y);
+        let vx = flow.x * config.speed * config.backgroundStrength;
+        let vy = flow.y * config.speed * config.backgroundStrength;
+        for (const field of this.forceFields) {
+            const force = getForceFieldForce(field, x, y, config.time, (nx, ny) => this.noise.noise2D(nx, ny));
+            vx += force.x * config.forceFieldStrength;
+            vy += force.y * config.forceFieldStrength;
+        }
+        return { x: vx, y: vy - config.globalGravity };
+    }
+
+    // SVG of evenly spaced streamlines through the field as it is now (see flow-streamlines.js
+    // for the options), stroked with the current palette like renderToBuffer() colors particles
+    exportStreamlinesSVG(options = {}) {
+        const lines = traceStreamlines((x, y) => this.getFieldVelocity(x, y), this.width, this.height,
+            { random: createSeededRandom(this.config.seed), ...options });
+        const palette = this.palettes[Math.floor(this.config.colorScheme)];
+        const paletteT = line => {
+            switch (palette.source) {
+                case 'velocity': return line.speed / 8;
+                case 'direction': return line.angle;
+                case 'charge': return line.id < 0.5 ? 1 : 0;
+                default: return line.id;
+            }
+        };
+        return streamlinesToSVG(lines, this.width, this.height,
+            { ...options, color: streamlinePaletteColor(palette, paletteT) });
+    }
+
+    // ============ SCENES ============
+
+    // Same scene format as FlowFieldsGL.getScene(), so presets and share links work in both versions
+    getScene() {
+        const { time, ...sceneConfig } = this.config;
+        const scheme = Math.floor(this.config.colorScheme);
+        return {
+            version: 1,
+            config: sceneConfig,
+            maxForceFields: this.maxForceFields,
+            enabledForceTypes: [...this.enabledForceTypes],
+            mouse: { mode: this.mouse.mode, radius: this.mouse.radius, strength: this.mouse.strength },
+            // Custom palettes travel with the scene since their index isn't stable
+            palette: scheme >= BUILTIN_PALETTES.length ? { ...this.palettes[scheme] } : undefined,
+            forceFields: forceFieldsToScene(this.forceFields, this.width, this.height)
+        };
+    }
+
+    // Apply a (possibly partial) scene. Keys only the WebGL version understands are ignored.
+    applyScene(scene) {
+        const config = this.config;
+        let rebuild = false;
+        if (scene.config) {
+            const { time, ...sceneConfig } = scene.config;
+            for (const [key, value] of Object.entries(sceneConfig)) {
+                if (!(key in config)) continue;
+                if (key === 'particleCount') {
+                    const count = Math.min(CPU_MAX_PARTICLES, value);
+                    rebuild = rebuild || count !== config.particleCount;
+                    config.particleCount = count;
+                } else if (key === 'seed') {
+                    rebuild = rebuild || value !== config.seed;
+                    config.seed = value;
+                } else {
+                    config[key] = value;
+                }
+            }
+        }
+        if (scene.maxForceFields !== undefined) {
+            this.maxForceFields = scene.maxForceFields;
+        }
+        if (scene.enabledForceTypes) {
+            this.enabledForceTypes = enabledForceTypesFromScene(scene.enabledForceTypes);
+        }
+        if (scene.mouse) {
+            Object.assign(this.mouse, scene.mouse);
+        }
+        if (scene.palette) {
+            let index = this.palettes.findIndex(p => samePalette(p, scene.palette));
+            if (index < 0) {
+                index = this.palettes.push(normalizePalette(scene.palette)) - 1;
+            }
+            config.colorScheme = index;
+        }
+        if (Math.floor(config.colorScheme) >= this.palettes.length) {
+            config.colorScheme = 0;
+        }
+        if (rebuild) {
+            this.reseed(config.seed);
+        }
+        if (scene.forceFields) {
+            this.forceFields = forceFieldsFromScene(scene.forceFields, this.width, this.height);
+        }
+        while (this.forceFields.length > this.maxForceFields) {
+            this.forceFields.shift();
+        }
+    }
+}
@@ -0,0 +1,253 @@
+// Flow Fields - Streamline Export
+// Traces evenly spaced streamlines through a flow field and writes them as SVG paths, for pen
+// plotters and laser cutters. Both versions supply the field as a function from a position to a
+// velocity (FlowFieldsGL samples it on the GPU, FlowSimulation on the CPU), so the lines follow
+// the same noise modes and force fields as the particles.
+// Coordinates are pixels with y up; the SVG flips them. Load after flow-palettes.js.
+
+const STREAMLINE_DEFAULTS = {
+    count: 400,       // Most lines to trace; fewer if the separation fills the picture first
+    separation: 12,   // Closest two lines may start, in pixels
+    testRatio: 0.5,   // Lines stop when they come this fraction of the separation from another
+    step: 1,          // Integration step in pixels
+    minLength: 20,    // Shorter lines are dropped, in pixels
+    maxPoints: 4000,  // Points per line before it's cut off (closed orbits never stop otherwise)
+    tolerance: 0.5,   // Simplification distance in pixels
+    strokeWidth: 1
+};
+
+// Points kept in cells of the separation distance, so a proximity test only looks at 3x3 cells
+class StreamlineGrid {
+    constructor(width, height, cellSize) {
+        this.cellSize = cellSize;
+        this.cols = Math.ceil(width / cellSize) + 1;
+        this.rows = Math.ceil(height / cellSize) + 1;
+        this.cells = new Map();
+    }
+
+    key(x, y) {
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+        return row * this.cols + col;
+    }
+
+    add(x, y, index = 0) {
+        const key = this.key(x, y);
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(x, y, index);
+    }
+
+    // Whether any point is within distance, ignoring points whose index is within skip of index
+    isNear(x, y, distance, index = 0, skip = -1) {
+        const col = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        const distSq = distance * distance;
+        for (let r = row - 1; r <= row + 1; r++) {
+            if (r < 0 || r >= this.rows) continue;
+            for (let c = col - 1; c <= col + 1; c++) {
+                if (c < 0 || c >= this.cols) continue;
+                const cell = this.cells.get(r * this.cols + c);
+                if (!cell) continue;
+                for (let i = 0; i < cell.length; i += 3) {
+                    if (Math.abs(cell[i + 2] - index) <= skip) continue;
+                    const dx = cell[i] - x;
+                    const dy = cell[i + 1] - y;
+                    if (dx * dx + dy * dy < distSq) return true;
+                }
+            }
+        }
+        return false;
+    }
+}
+
+// Evenly spaced streamlines (Jobard & Lefer, 1997). Each accepted line seeds new candidates one
+// separation to either side of it, so the picture fills outward from the first lines; a shuffled
+// grid of seeds picks up regions the lines never reach. Returns
+// [{ points: [[x, y], ...], speed, angle, id }] - speed is the mean field speed along the line,
+// angle its mean direction (0-1 around the wheel) and id a random 0-1 value for per-line colors.
+function traceStreamlines(sampleField, width, height, options = {}) {
+    const opts = { ...STREAMLINE_DEFAULTS, ...options };
+    const random = opts.random || Math.random;
+    const separation = Math.max(1, opts.separation);
+    const test = separation * opts.testRatio;
+    const step = Math.min(opts.step, test * 0.5);
+    // A line's own points closer than this along it are neighbors, not a loop closing
+    const selfSkip = Math.ceil(test * 2 / step) + 1;
+
+    const grid = new StreamlineGrid(width, height, separation);
+    const lines = [];
+    const queue = [];
+    let queued = 0;
+
+    const seeds = [];
+    for (let y = separation / 2; y < height; y += separation) {
+        for (let x = separation / 2; x < width; x += separation) {
+            seeds.push([x, y]);
+        }
+    }
+    for (let i = seeds.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [seeds[i], seeds[j]] = [seeds[j], seeds[i]];
+    }
+
+    // Unit direction at a point, or null where the field stalls
+    const direction = (x, y) => {
+        const v = sampleField(x, y);
+        const speed = Math.hypot(v.x, v.y);
+        return speed > 1e-6 ? { x: v.x / speed, y: v.y / speed, speed } : null;
+    };
+
+    // Midpoint (RK2) steps from the seed in one direction until the line leaves the picture,
+    // stalls, comes too close to another line or itself, or runs out of points
+    const integrate = (x, y, sign, self, points, stats) => {
+        for (let n = 1; n < opts.maxPoints; n++) {
+            const d1 = direction(x, y);
+            if (!d1) break;
+            const d2 = direction(x + d1.x * step * sign * 0.5, y + d1.y * step * sign * 0.5);
+            if (!d2) break;
+            const nx = x + d2.x * step * sign;
+            const ny = y + d2.y * step * sign;
+            if (nx < 0 || nx > width || ny < 0 || ny > height) break;
+            if (grid.isNear(nx, ny, test) || self.isNear(nx, ny, test, n * sign, selfSkip)) break;
+            x = nx;
+            y = ny;
+            points.push([x, y]);
+            self.add(x, y, n * sign);
+            stats.speed += d2.speed;
+            stats.dx += d2.x * sign;
+            stats.dy += d2.y * sign;
+        }
+    };
+
+    const traceFrom = ([x, y]) => {
+        if (x < 0 || x > width || y < 0 || y > height) return null;
+        if (grid.isNear(x, y, separation) || !direction(x, y)) return null;
+
+        const self = new StreamlineGrid(width, height, separation);
+        self.add(x, y, 0);
+        const stats = { speed: 0, dx: 0, dy: 0 };
+        const forward = [];
+        const backward = [];
+        integrate(x, y, 1, self, forward, stats);
+        integrate(x, y, -1, self, backward, stats);
+        const points = [...backward.reverse(), [x, y], ...forward];
+
+        const segments = points.length - 1;
+        if (segments * step < opts.minLength) return null;
+        return {
+            points,
+            speed: stats.speed / segments,
+            angle: (Math.atan2(stats.dy, stats.dx) + Math.PI) / (Math.PI * 2),
+            id: random()
+        };
+    };
+
+    while (lines.length < opts.count) {
+        const seed = queued < queue.length ? queue[queued++] : seeds.pop();
+        if (!seed) break;
+        const line = traceFrom(seed);
+        if (!line) continue;
+
+        lines.push(line);
+        for (const [x, y] of line.points) {
+            grid.add(x, y);
+        }
+        // Candidates a separation to each side, spaced about a separation along the line
+        const stride = Math.max(1, Math.round(separation / step));
+        for (let i = 0; i < line.points.length - 1; i += stride) {
+            const [x0, y0] = line.points[i];
+            const [x1, y1] = line.points[i + 1];
+            const length = Math.hypot(x1 - x0, y1 - y0) || 1;
+            const nx = -(y1 - y0) / length * separation;
+            const ny = (x1 - x0) / length * separation;
+            queue.push([x0 + nx, y0 + ny], [x0 - nx, y0 - ny]);
+        }
+    }
+
+    for (const line of lines) {
+        line.points = simplifyPolyline(line.points, opts.tolerance);
+    }
+    return lines;
+}
+
+// Ramer-Douglas-Peucker: drop points closer than tolerance to the line through their neighbors
+function simplifyPolyline(points, tolerance) {
+    if (points.length < 3 || tolerance <= 0) return points;
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const [ax, ay] = points[first];
+        const [bx, by] = points[last];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+        let farthest = -1;
+        let farthestDist = tolerance;
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = points[i];
+            // Distance to the segment, so closed loops (a == b) measure from the endpoint
+            const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+            const dist = Math.hypot(px - ax - dx * t, py - ay - dy * t);
+            if (dist > farthestDist) {
+                farthest = i;
+                farthestDist = dist;
+            }
+        }
+        if (farthest >= 0) {
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+    return points.filter((p, i) => keep[i]);
+}
+
+// Bilinear lookup into velocities sampled at cell centers of a cols x rows grid over the picture,
+// rows bottom to top, stride values per cell with x and y first (RGBA readPixels gives 4)
+function gridFieldSampler(data, cols, rows, width, height, stride = 4) {
+    const at = (col, row, k) => data[(Math.min(rows - 1, Math.max(0, row)) * cols +
+        Math.min(cols - 1, Math.max(0, col))) * stride + k];
+    return (x, y) => {
+        const gx = x / width * cols - 0.5;
+        const gy = y / height * rows - 0.5;
+        const col = Math.floor(gx);
+        const row = Math.floor(gy);
+        const fx = gx - col;
+        const fy = gy - row;
+        const lerp = k => {
+            const bottom = at(col, row, k) * (1 - fx) + at(col + 1, row, k) * fx;
+            const top = at(col, row + 1, k) * (1 - fx) + at(col + 1, row + 1, k) * fx;
+            return bottom * (1 - fy) + top * fy;
+        };
+        return { x: lerp(0), y: lerp(1) };
+    };
+}
+
+// SVG document with one path per line. color(line) gives its stroke (a CSS color); the
+// background is left out unless given, since plotters draw on the paper as it is.
+function streamlinesToSVG(lines, width, height, options = {}) {
+    const { color = () => '#000000', background = null, strokeWidth = STREAMLINE_DEFAULTS.strokeWidth } = options;
+    const round = v => Math.round(v * 100) / 100;
+    const paths = lines.map(line => {
+        const d = line.points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${round(x)} ${round(height - y)}`).join('');
+        return `<path d="${d}" stroke="${color(line)}"/>`;
+    });
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        background ? `<rect width="100%" height="100%" fill="${background}"/>` : null,
+        `<g fill="none" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round">`,
+        ...paths,
+        '</g>',
+        '</svg>'
+    ].filter(line => line !== null).join('\n') + '\n';
+}
+
+// Stroke color per line from a palette, where paletteT(line) places the line along the gradient
+function streamlinePaletteColor(palette, paletteT) {
+    return line => rgbToHex(samplePalette(palette, Math.min(1, Math.max(0, paletteT(line)))));
+}
@@ -0,0 +1,83 @@
+// Flow Fields - Keyframe Timeline
+// Keyframes for numeric config values against config.time (frames), with easing.
+// Timelines are plain data so they serialize with presets:
+//   { duration, loop, tracks: { configKey: [{ time, value, easing }, ...] } }
+// Load after flow-core.js.
+
+const TIMELINE_EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => 1 - (1 - t) * (1 - t),
+    easeInOut: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    smooth: t => t * t * (3 - 2 * t),
+    step: t => 0
+};
+
+// Keys that rebuild the simulation or are bookkeeping can't be keyframed
+const TIMELINE_EXCLUDED_KEYS = ['particleCount', 'seed', 'time'];
+
+// Modes, counts and indices are discrete - interpolate, then snap to the nearest whole value
+const TIMELINE_INTEGER_KEYS = Object.keys(SCENE_CONFIG).filter(key => SCENE_CONFIG[key].type === 'int');
+
+function createTimeline(duration = 3600) {
+    return { duration, loop: true, tracks: {} };
+}
+
+function getKeyframeableKeys(config) {
+    return Object.keys(config).filter(key =>
+        typeof config[key] === 'number' && !TIMELINE_EXCLUDED_KEYS.includes(key));
+}
+
+// Add or replace the keyframe at time for key
+function setKeyframe(timeline, key, time, value, easing = 'easeInOut') {
+    const track = timeline.tracks[key] || (timeline.tracks[key] = []);
+    const existing = track.find(k => k.time === time);
+    if (existing) {
+        existing.value = value;
+        existing.easing = easing;
+    } else {
+        track.push({ time, value, easing });
+        track.sort((a, b) => a.time - b.time);
+    }
+}
+
+function removeKeyframe(timeline, key, time) {
+    const track = timeline.tracks[key];
+    if (!track) return;
+    timeline.tracks[key] = track.filter(k => k.time !== time);
+    if (timeline.tracks[key].length === 0) {
+        delete timeline.tracks[key];
+    }
+}
+
+// Value of a track at time. A keyframe's easing shapes the segment that follows it.
+function evaluateTrack(track, time) {
+    if (time <= track[0].time) return track[0].value;
+    const last = track[track.length - 1];
+    if (time >= last.time) return last.value;
+
+    let i = 0;
+    while (track[i + 1].time <= time) i++;
+    const from = track[i];
+    const to = track[i + 1];
+    const ease = TIMELINE_EASINGS[from.easing] || TIMELINE_EASINGS.linear;
+    const t = ease((time - from.time) / (to.time - from.time));
+    return from.value + (to.value - from.value) * t;
+}
+
+// Timeline position for a simulation frame
+function getTimelineTime(timeline, frame) {
+    return timeline.loop ? frame % timeline.duration : Math.min(frame, timeline.duration);
+}
+
+// Config values for a simulation frame: { configKey: value }
+function evaluateTimeline(timeline, frame) {
+    const time = getTimelineTime(timeline, frame);
+    const values = {};
+    for (const [key, track] of Object.entries(timeline.tracks)) {
+        if (track.length === 0) continue;
+        const value = evaluateTrack(track, time);
+        values[key] = TIMELINE_INTEGER_KEYS.includes(key) ? Math.round(value) : value;
+    }
+    return values;
+}
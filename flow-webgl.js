@@ -9,42 +9,46 @@ class FlowFieldsGL {
             throw new Error('WebGL2 not supported');
         }
 
-        this.config = {
-            particleCount: 250000,  // 250k particles default
-            particleOpacity: 0.15,
-            noiseScale: 0.003,
-            speed: 1.0,
-            fadeAmount: 0.03,
-            colorScheme: 0,
-            noiseMode: 1,
-            backgroundStrength: 1.0,
-            forceFieldStrength: 1.0,
-            brownianMotion: 1.5,
-            respawnRate: 0.002,
-            zonesEnabled: false,
-            zonesStrength: 1.0,
-            globalGravity: 0,
-            particleSize: 1.5,
-            forceSpawnRate: 0,      // Auto-spawn rate (0 = disabled, 1 = ~1 per second at 60fps)
-            forceLifetime: 1.0,     // Lifetime multiplier (1.0 = default 500-1000 frames)
-            maxForceRadius: 200,    // Maximum radius for spawned forces
-            globalSwirl: 0,         // Global rotation around center (-1 to 1)
-            chargeInteraction: 0,   // Particle charge interaction strength (0 = disabled)
-            chargeRatio: 0.5,       // Fraction of positive charges (0.5 = half and half)
-            gravityInteraction: 0,  // Particle gravity interaction (-2 to +2, negative repels)
-            friction: 0.005,        // Friction in Forces Only mode (0-0.1)
-            time: 0,
-            ...initialConfig  // Apply initial config before init()
-        };
+        // Noise modes (see flow-noise-modes.js) are compiled into the physics shader
+        this.noiseModes = [...NOISE_MODES];
+
+        // Config keys, defaults and units are shared with the Canvas 2D engine (see flow-core.js)
+        this.config = createSceneConfig('gpu', initialConfig);
 
-        // Force fields stored as uniform data
+        // Force fields - uploaded to textures and binned by area each frame (see binForceFields)
         this.forceFields = [];
         this.maxForceFields = 40;
-        this.enabledForceTypes = [true, true, true, true, true]; // Which types can auto-spawn
+        this.forceBinBuffers = {}; // Reused by binForceFields
+        this.enabledForceTypes = FORCE_TYPES.map(() => true); // Which types can auto-spawn
 
         // Mouse state
-        this.mouse = { x: -1000, y: -1000, radius: 150, strength: 1.0, mode: 0 };
+        this.mouse = { x: -1000, y: -1000, ...SCENE_MOUSE_DEFAULTS };
         this.paused = false;
+        this.renderingPoster = false; // The screen is left as it was while renderPoster() runs
+        this.exportingFrames = false; // See exportFrames()
+
+        // Image, video or canvas driving the flow field (see setFlowImage)
+        this.flowImage = null;
+
+        // Color palettes (see flow-palettes.js) - colorScheme indexes into this list
+        this.palettes = [...BUILTIN_PALETTES];
+
+        // Post effects (see flow-post-effects.js) - enabled ids in the order they run
+        this.postEffects = [];
+
+        // Keyframe timeline (see flow-timeline.js), applied before each physics step
+        this.timeline = null;
+        this.timelinePlaying = false;
+
+        // Undo history (see flow-history.js) that force fields placed on the canvas are recorded
+        // in. Set by the page; without one they're added untracked.
+        this.history = null;
+
+        // Canvas event listeners as [type, handler, options], removed again by cleanup()
+        this.canvasListeners = [];
+
+        // Seeded PRNG - used instead of Math.random() so a seed reproduces a run
+        this.applySeed(this.config.seed);
 
         this.init();
     }
@@ -54,13 +58,30 @@ class FlowFieldsGL {
 
         // Enable required extensions
         gl.getExtension('EXT_color_buffer_float');
-        gl.getExtension('OES_texture_float_linear');
+        const floatLinear = gl.getExtension('OES_texture_float_linear');
+        // Additive blending into 32-bit float targets (see updateDensityGrid)
+        this.floatBlend = !!(gl.getExtension('EXT_float_blend') && floatLinear);
 
         // Compile shaders
-        this.physicsProgram = this.createProgram(physicsVertexShader, physicsFragmentShader);
+        this.physicsProgram = this.createProgram(physicsVertexShader,
+            physicsFragmentShader.replace('// @noise-modes', buildNoiseModesGLSL(this.noiseModes)));
         this.renderProgram = this.createProgram(renderVertexShader, renderFragmentShader);
+        this.lineProgram = this.createProgram(lineVertexShader, lineFragmentShader);
         this.trailProgram = this.createProgram(trailVertexShader, trailFragmentShader);
+        this.compositeProgram = this.createProgram(copyVertexShader, compositeFragmentShader);
         this.copyProgram = this.createProgram(copyVertexShader, copyFragmentShader);
+        this.postEffectPrograms = Object.fromEntries(POST_EFFECTS.map(effect =>
+            [effect.id, this.createProgram(copyVertexShader, buildPostEffectShader(effect))]));
+        this.bloomPrefilterProgram = this.createProgram(copyVertexShader, bloomPrefilterFragmentShader);
+        this.bloomDownsampleProgram = this.createProgram(copyVertexShader, bloomDownsampleFragmentShader);
+        this.bloomUpsampleProgram = this.createProgram(copyVertexShader, bloomUpsampleFragmentShader);
+        this.gridProgram = this.createProgram(gridVertexShader, gridFragmentShader);
+        this.gridSlotProgram = this.createProgram(copyVertexShader, gridSlotFragmentShader);
+        this.densityProgram = this.createProgram(densityVertexShader, densityFragmentShader);
+        this.fluidAdvectProgram = this.createProgram(copyVertexShader, fluidAdvectFragmentShader);
+        this.fluidDivergenceProgram = this.createProgram(copyVertexShader, fluidDivergenceFragmentShader);
+        this.fluidPressureProgram = this.createProgram(copyVertexShader, fluidPressureFragmentShader);
+        this.fluidProjectProgram = this.createProgram(copyVertexShader, fluidProjectFragmentShader);
 
         // Create particle state textures (ping-pong)
         this.particleTextures = [
@@ -75,6 +96,42 @@ class FlowFieldsGL {
             this.createFramebuffer(this.particleTextures[1])
         ];
 
+        // One row per palette, sampled by the render shader
+        this.paletteTexture = gl.createTexture();
+        this.updatePaletteTexture();
+
+        // Flow image - a black pixel until an image is loaded
+        this.flowImageTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.flowImageTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 255]));
+
+        // Force field data, per-bin lists and the indices they point into
+        this.forceFieldTexture = this.createDataTexture();
+        this.forceCellTexture = this.createDataTexture();
+        this.forceIndexTexture = this.createDataTexture();
+
+        // Particles binned by position for neighbor interactions - sized on first use (see binParticles)
+        this.neighborGrid = null;
+
+        // Low-res particle density, splatted each frame for pressure and density coloring
+        this.densityGrid = null;
+        this.updateDensityGrid();
+
+        // Stable fluids grid driving the fluid noise modes (see stepFluid)
+        this.fluid = null;
+        this.fluidMouse = null; // Mouse position last frame, for drag velocity
+        this.updateFluid();
+
+        // Bloom mip chain - sized to whatever is being composited (see renderBloom)
+        this.bloomLevels = [];
+
+        // Ping-pong images for the post effect chain, sized like the bloom chain (see composite)
+        this.postTargets = [];
+
+        // Lookup table for the color grade effect - built on first use (see updateColorGrade)
+        this.colorGradeTexture = null;
+        this.colorGradeIndex = -1;
+
         // Create trail texture for fade effect
         this.trailTexture = this.createTrailTexture();
         this.trailFramebuffer = this.createFramebuffer(this.trailTexture);
@@ -102,6 +159,30 @@ class FlowFieldsGL {
         console.log(`WebGL Flow Fields initialized with ${this.config.particleCount.toLocaleString()} particles`);
     }
 
+    applySeed(seed) {
+        this.config.seed = seed >>> 0;
+        this.random = createSeededRandom(this.config.seed);
+
+        // Separate stream for shader offsets so they don't shift the CPU sequence
+        const shaderRandom = createSeededRandom(this.config.seed ^ 0x9e3779b9);
+        this.seedHash = shaderRandom();
+        this.seedNoiseOffset = [shaderRandom() * 100, shaderRandom() * 100];
+    }
+
+    reseed(seed) {
+        // Restart the simulation from frame 0 with the given seed
+        this.applySeed(seed);
+        this.config.time = 0;
+        this.forceFields = [];
+        this.initializeParticles();
+
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.trailFramebuffer);
+        gl.clearColor(0.0, 0.0, 0.0, 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
     createShader(type, source) {
         const gl = this.gl;
         const shader = gl.createShader(type);
@@ -151,11 +232,13 @@ class FlowFieldsGL {
         return texture;
     }
 
+    // Half float, so faint particles keep adding up past 1.0 and slow fades decay all the way
+    // to black instead of sticking at the last 8-bit step. Tone mapped to the screen in composite().
     createTrailTexture() {
         const gl = this.gl;
         const texture = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.canvas.width, this.canvas.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, this.canvas.width, this.canvas.height, 0, gl.RGBA, gl.HALF_FLOAT, null);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
@@ -163,6 +246,98 @@ class FlowFieldsGL {
         return texture;
     }
 
+    // Float texture read with texelFetch, so no filtering or mipmaps
+    createDataTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    uploadDataTexture(texture, internalFormat, format, width, height, data) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, gl.FLOAT, data);
+    }
+
+    updatePaletteTexture() {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, PALETTE_SIZE, this.palettes.length, 0,
+            gl.RGBA, gl.UNSIGNED_BYTE, buildPaletteData(this.palettes));
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+
+    // Replace the palette at index (or append when index is past the end). Returns the index.
+    setPalette(index, palette) {
+        index = Math.min(index, this.palettes.length);
+        this.palettes[index] = normalizePalette(palette);
+        this.updatePaletteTexture();
+        return index;
+    }
+
+    // Index of an identical palette, adding it if needed
+    addPalette(palette) {
+        const index = this.palettes.findIndex(p => samePalette(p, palette));
+        return index >= 0 ? index : this.setPalette(this.palettes.length, palette);
+    }
+
+    removePalette(index) {
+        if (index < BUILTIN_PALETTES.length || index >= this.palettes.length) return;
+        this.palettes.splice(index, 1);
+        if (Math.floor(this.config.colorScheme) >= index) {
+            this.config.colorScheme = Math.max(0, this.config.colorScheme - 1);
+        }
+        this.updatePaletteTexture();
+    }
+
+    // Use an image, video or canvas as the flow field (null to go back to noise only).
+    // Videos are re-uploaded every step so webcams and clips animate the field.
+    setFlowImage(source) {
+        this.flowImage = source;
+        if (source) {
+            this.uploadFlowImage();
+        }
+    }
+
+    uploadFlowImage() {
+        const source = this.flowImage;
+        if (source instanceof HTMLVideoElement && source.readyState < 2) return;
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.flowImageTexture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        // Mipmaps give the shader a smoothed image to take gradients from
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+
+    // Where the flow image sits in simulation pixels [x, y, width, height], scaled to cover the canvas
+    getFlowImageRect() {
+        const source = this.flowImage;
+        const width = source.videoWidth || source.naturalWidth || source.width;
+        const height = source.videoHeight || source.naturalHeight || source.height;
+        const scale = Math.max(this.canvas.width / width, this.canvas.height / height);
+        return [
+            (this.canvas.width - width * scale) / 2,
+            (this.canvas.height - height * scale) / 2,
+            width * scale,
+            height * scale
+        ];
+    }
+
     createFramebuffer(texture) {
         const gl = this.gl;
         const fb = gl.createFramebuffer();
@@ -171,6 +346,54 @@ class FlowFieldsGL {
         return fb;
     }
 
+    // A cleared texture with its framebuffer, for passes that render to an offscreen image.
+    // Defaults to half float with linear filtering, for HDR color and simulation grids.
+    createRenderTarget(width, height, options = {}) {
+        const gl = this.gl;
+        const {
+            internalFormat = gl.RGBA16F,
+            format = gl.RGBA,
+            type = gl.HALF_FLOAT,
+            wrap = gl.CLAMP_TO_EDGE
+        } = options;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+        const framebuffer = this.createFramebuffer(texture);
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        return { texture, framebuffer, width, height };
+    }
+
+    deleteRenderTarget(target) {
+        this.gl.deleteTexture(target.texture);
+        this.gl.deleteFramebuffer(target.framebuffer);
+    }
+
+    // Draw a full-target quad with program into target, reading textures from units 0 and up
+    runPass(program, target, textures) {
+        const gl = this.gl;
+        gl.useProgram(program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.viewport(0, 0, target.width, target.height);
+        Object.entries(textures).forEach(([name, texture], i) => {
+            gl.activeTexture(gl.TEXTURE0 + i);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(gl.getUniformLocation(program, name), i);
+        });
+        gl.activeTexture(gl.TEXTURE0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const posLoc = gl.getAttribLocation(program, 'a_position');
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
     createQuadBuffer() {
         const gl = this.gl;
         const buffer = gl.createBuffer();
@@ -224,10 +447,10 @@ class FlowFieldsGL {
             // Random distribution
             for (let i = 0; i < this.config.particleCount; i++) {
                 const idx = i * 4;
-                data[idx] = Math.random() * this.canvas.width;      // x
-                data[idx + 1] = Math.random() * this.canvas.height; // y
-                data[idx + 2] = (Math.random() - 0.5) * 2;          // vx
-                data[idx + 3] = (Math.random() - 0.5) * 2;          // vy
+                data[idx] = this.random() * this.canvas.width;      // x
+                data[idx + 1] = this.random() * this.canvas.height; // y
+                data[idx + 2] = (this.random() - 0.5) * 2;          // vx
+                data[idx + 3] = (this.random() - 0.5) * 2;          // vy
             }
         }
 
@@ -238,25 +461,33 @@ class FlowFieldsGL {
     }
 
     setupEvents() {
+        const listen = (type, handler, options) => {
+            this.canvas.addEventListener(type, handler, options);
+            this.canvasListeners.push([type, handler, options]);
+        };
+
         // Mouse events
-        this.canvas.addEventListener('mousemove', (e) => {
+        listen('mousemove', (e) => {
             this.mouse.x = e.clientX;
             this.mouse.y = this.canvas.height - e.clientY; // Flip Y for WebGL
         });
 
-        this.canvas.addEventListener('mouseleave', () => {
+        listen('mouseleave', () => {
             this.mouse.x = -1000;
             this.mouse.y = -1000;
         });
 
-        this.canvas.addEventListener('click', (e) => {
-            this.addForceField(e.clientX, this.canvas.height - e.clientY);
+        listen('click', (e) => {
+            if (e.shiftKey) return; // Left to the page, which moves the symmetry center
+            this.trackEdit(() => {
+                this.addForceField(e.clientX, this.canvas.height - e.clientY);
+            }, { forces: true });
         });
 
         // Touch events for mobile
         let touchStart = { x: 0, y: 0 };
 
-        this.canvas.addEventListener('touchstart', (e) => {
+        listen('touchstart', (e) => {
             e.preventDefault();
             const touch = e.touches[0];
             this.mouse.x = touch.clientX;
@@ -265,127 +496,480 @@ class FlowFieldsGL {
             touchStart.y = touch.clientY;
         }, { passive: false });
 
-        this.canvas.addEventListener('touchmove', (e) => {
+        listen('touchmove', (e) => {
             e.preventDefault();
             const touch = e.touches[0];
             this.mouse.x = touch.clientX;
             this.mouse.y = this.canvas.height - touch.clientY;
         }, { passive: false });
 
-        this.canvas.addEventListener('touchend', (e) => {
+        listen('touchend', (e) => {
             // Check if it was a tap (didn't move much)
             const touch = e.changedTouches[0];
             const dx = touch.clientX - touchStart.x;
             const dy = touch.clientY - touchStart.y;
             if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
-                this.addForceField(touch.clientX, this.canvas.height - touch.clientY);
+                this.trackEdit(() => {
+                    this.addForceField(touch.clientX, this.canvas.height - touch.clientY);
+                }, { forces: true });
             }
             this.mouse.x = -1000;
             this.mouse.y = -1000;
         });
     }
 
+    // Run an edit through the undo history when the page gave one
+    trackEdit(fn, options) {
+        if (this.history) {
+            this.history.track(this, fn, options);
+        } else {
+            fn();
+        }
+    }
+
     addForceField(x, y, type = -1) {
         if (this.forceFields.length >= this.maxForceFields) {
             this.forceFields.shift();
         }
 
-        // Determine type - if random (-1), pick from enabled types only
-        let finalType = type;
-        if (type < 0) {
-            const enabledTypes = [];
-            for (let i = 0; i < 5; i++) {
-                if (this.enabledForceTypes[i]) enabledTypes.push(i);
-            }
-            if (enabledTypes.length === 0) return; // No types enabled, don't spawn
-            finalType = enabledTypes[Math.floor(Math.random() * enabledTypes.length)];
+        // Random (-1) picks from enabled types only
+        const finalType = type < 0 ? pickForceType(this.enabledForceTypes, this.random) : type;
+        if (finalType < 0) return null; // No types enabled, don't spawn
+
+        const field = createForceField(x, y, finalType, this.config, this.random);
+        this.forceFields.push(field);
+        return field;
+    }
+
+    removeForceField(field) {
+        const index = this.forceFields.indexOf(field);
+        if (index >= 0) {
+            this.forceFields.splice(index, 1);
         }
+    }
 
-        const baseLife = 500 + Math.random() * 500;
-        const minRadius = Math.max(40, this.config.maxForceRadius * 0.3);
-        const radiusRange = this.config.maxForceRadius - minRadius;
-        this.forceFields.push({
-            x: x,
-            y: y,
-            type: finalType,
-            strength: 50 + Math.random() * 100,
-            radius: minRadius + Math.random() * radiusRange,
-            rotation: Math.random() > 0.5 ? 1 : -1,
-            life: baseLife * this.config.forceLifetime,
-            vx: (Math.random() - 0.5) * 0.5,
-            vy: (Math.random() - 0.5) * 0.5
-        });
+    // Bind the flow image to texture unit 2 for program
+    setFlowImageUniforms(program) {
+        const gl = this.gl;
+        const rect = this.flowImage ? this.getFlowImageRect() : [0, 0, this.canvas.width, this.canvas.height];
+        gl.uniform4f(gl.getUniformLocation(program, 'u_imageRect'), rect[0], rect[1], rect[2], rect[3]);
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, this.flowImageTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_flowImage'), 2);
+        gl.activeTexture(gl.TEXTURE0);
     }
 
     updateForceFields() {
-        for (let i = this.forceFields.length - 1; i >= 0; i--) {
-            const f = this.forceFields[i];
-            f.x += f.vx;
-            f.y += f.vy;
-            f.life--;
-
-            // Bounce off edges
-            if (f.x < 0 || f.x > this.canvas.width) f.vx *= -1;
-            if (f.y < 0 || f.y > this.canvas.height) f.vy *= -1;
-
-            if (f.life <= 0) {
-                this.forceFields.splice(i, 1);
-            }
-        }
+        stepForceFields(this.forceFields, this.canvas.width, this.canvas.height);
 
         // Random spawning based on config (forceSpawnRate: 0=off, 1=~1/sec, higher=more)
         if (this.config.forceSpawnRate > 0 &&
-            Math.random() < this.config.forceSpawnRate / 60 &&
+            this.random() < this.config.forceSpawnRate / 60 &&
             this.forceFields.length < this.maxForceFields) {
             this.addForceField(
-                Math.random() * this.canvas.width,
-                Math.random() * this.canvas.height
+                this.random() * this.canvas.width,
+                this.random() * this.canvas.height
             );
         }
     }
 
-    getForceFieldUniforms() {
-        // Always allocate for max 40 force fields to match shader uniform size
-        const data = new Float32Array(40 * 8);
-        for (let i = 0; i < Math.min(this.maxForceFields, 40); i++) {
-            const f = this.forceFields[i];
-            if (f) {
-                data[i * 8] = f.x;
-                data[i * 8 + 1] = f.y;
-                data[i * 8 + 2] = f.type;
-                data[i * 8 + 3] = f.strength;
-                data[i * 8 + 4] = f.radius;
-                data[i * 8 + 5] = f.rotation;
-                data[i * 8 + 6] = f.life / 500; // Normalized life
-                data[i * 8 + 7] = 1.0; // Active flag
-            } else {
-                data[i * 8 + 7] = 0.0; // Inactive
-            }
+    // Upload force fields and their bins, once per frame before any pass reads them
+    uploadForceFields() {
+        const gl = this.gl;
+        const bins = binForceFields(this.forceFields, this.canvas.width, this.canvas.height,
+            this.forceBinBuffers);
+        this.uploadDataTexture(this.forceFieldTexture, gl.RGBA32F, gl.RGBA,
+            FORCE_TEXTURE_WIDTH, bins.fieldRows, bins.fieldData);
+        this.uploadDataTexture(this.forceCellTexture, gl.RG32F, gl.RG,
+            bins.cols, bins.rows, bins.cellData);
+        this.uploadDataTexture(this.forceIndexTexture, gl.R32F, gl.RED,
+            FORCE_TEXTURE_WIDTH, bins.indexRows, bins.indexData);
+    }
+
+    // Bind the uploaded force fields to texture units 3-5
+    setForceFieldUniforms(program) {
+        const gl = this.gl;
+        const textures = [
+            ['u_forceFields', this.forceFieldTexture],
+            ['u_forceCells', this.forceCellTexture],
+            ['u_forceIndices', this.forceIndexTexture]
+        ];
+        textures.forEach(([name, texture], i) => {
+            gl.activeTexture(gl.TEXTURE3 + i);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(gl.getUniformLocation(program, name), 3 + i);
+        });
+        gl.activeTexture(gl.TEXTURE0);
+
+        gl.uniform1i(gl.getUniformLocation(program, 'u_forceFieldCount'), this.forceFields.length);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_forceBinSize'), FORCE_BIN_SIZE);
+    }
+
+    // Whether any particle-particle interaction is on, so the binning pass can be skipped
+    hasParticleInteractions() {
+        return this.config.chargeInteraction > 0.001 ||
+            Math.abs(this.config.gravityInteraction) > 0.001 ||
+            this.config.alignmentInteraction > 0.001 ||
+            Math.abs(this.config.cohesionInteraction) > 0.001;
+    }
+
+    // (Re)create the neighbor grid when the canvas or interaction radius changes.
+    // Each cell is a NEIGHBOR_GRID_SLOTS square block of texels with a stencil buffer for routing.
+    updateNeighborGrid() {
+        const gl = this.gl;
+        const cellSize = this.config.interactionRadius;
+        const cols = Math.max(1, Math.ceil(this.canvas.width / cellSize));
+        const rows = Math.max(1, Math.ceil(this.canvas.height / cellSize));
+        const grid = this.neighborGrid;
+        if (grid && grid.cellSize === cellSize && grid.cols === cols && grid.rows === rows) return grid;
+
+        const width = cols * NEIGHBOR_GRID_SLOTS;
+        const height = rows * NEIGHBOR_GRID_SLOTS;
+        const texture = grid ? grid.texture : this.createDataTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+
+        const stencil = grid ? grid.stencil : gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, stencil);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.STENCIL_INDEX8, width, height);
+
+        const framebuffer = grid ? grid.framebuffer : this.createFramebuffer(texture);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.STENCIL_ATTACHMENT, gl.RENDERBUFFER, stencil);
+
+        this.neighborGrid = { texture, stencil, framebuffer, cellSize, cols, rows, width, height };
+        return this.neighborGrid;
+    }
+
+    // Sort particles into the neighbor grid with stencil routing: every cell's slots start with
+    // stencil values 1..N, each particle drawn into the cell writes only to the slot at 1 and
+    // decrements them all, so the first N particles to land in a cell get a slot each.
+    binParticles(particleTexture) {
+        const gl = this.gl;
+        const grid = this.updateNeighborGrid();
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, grid.framebuffer);
+        gl.viewport(0, 0, grid.width, grid.height);
+        gl.disable(gl.BLEND);
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+        gl.enable(gl.STENCIL_TEST);
+
+        // Number the slots - one quad per slot, discarding the other slots' texels
+        gl.useProgram(this.gridSlotProgram);
+        gl.colorMask(false, false, false, false);
+        gl.stencilOp(gl.KEEP, gl.KEEP, gl.REPLACE);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        const posLoc = gl.getAttribLocation(this.gridSlotProgram, 'a_position');
+        gl.enableVertexAttribArray(posLoc);
+        gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+        const slotLoc = gl.getUniformLocation(this.gridSlotProgram, 'u_slot');
+        for (let slot = 0; slot < NEIGHBOR_GRID_SLOTS * NEIGHBOR_GRID_SLOTS; slot++) {
+            gl.stencilFunc(gl.ALWAYS, slot + 1, 0xff);
+            gl.uniform1i(slotLoc, slot);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
         }
-        return data;
+        gl.colorMask(true, true, true, true);
+
+        // Draw every particle as a point covering its cell's slots
+        gl.useProgram(this.gridProgram);
+        gl.stencilFunc(gl.EQUAL, 1, 0xff);
+        gl.stencilOp(gl.DECR, gl.DECR, gl.DECR);
+        gl.uniform2f(gl.getUniformLocation(this.gridProgram, 'u_gridSize'), grid.cols, grid.rows);
+        gl.uniform1f(gl.getUniformLocation(this.gridProgram, 'u_gridCellSize'), grid.cellSize);
+        gl.uniform1f(gl.getUniformLocation(this.gridProgram, 'u_textureSize'), this.textureSize);
+        gl.uniform1f(gl.getUniformLocation(this.gridProgram, 'u_chargeRatio'), this.config.chargeRatio);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, particleTexture);
+        gl.uniform1i(gl.getUniformLocation(this.gridProgram, 'u_particles'), 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleBuffer);
+        const texCoordLoc = gl.getAttribLocation(this.gridProgram, 'a_texCoord');
+        gl.enableVertexAttribArray(texCoordLoc);
+        gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.POINTS, 0, this.config.particleCount);
+
+        gl.disable(gl.STENCIL_TEST);
+        return grid;
     }
 
-    update() {
+    // Whether pressure or either palette being shown reads the density grid
+    needsDensity() {
+        if (this.config.pressureStrength > 0.001) return true;
+        const scheme = Math.min(Math.max(this.config.colorScheme, 0), this.palettes.length - 1);
+        const paletteA = Math.floor(scheme);
+        const paletteB = (paletteA + 1) % this.palettes.length;
+        return this.palettes[paletteA].source === 'density' ||
+            (scheme > paletteA && this.palettes[paletteB].source === 'density');
+    }
+
+    // (Re)create the density grid when the canvas or particle count changes. Cells grow with
+    // fewer particles so each holds a few on average and the gradient isn't just noise.
+    // Counts are exact in 32-bit floats. Without EXT_float_blend the grid is half float, where
+    // a cell stops counting at 2048 - hundreds of times the average until cells hit their minimum size.
+    updateDensityGrid() {
         const gl = this.gl;
+        const area = this.canvas.width * this.canvas.height;
+        const cellSize = Math.max(DENSITY_MIN_CELL_SIZE,
+            Math.ceil(Math.sqrt(area * DENSITY_PARTICLES_PER_CELL / this.config.particleCount)));
+        const cols = Math.max(1, Math.ceil(this.canvas.width / cellSize));
+        const rows = Math.max(1, Math.ceil(this.canvas.height / cellSize));
+        const grid = this.densityGrid;
+        if (grid && grid.cellSize === cellSize && grid.cols === cols && grid.rows === rows) return grid;
+
+        const texture = grid ? grid.texture : gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        if (this.floatBlend) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, cols, rows, 0, gl.RED, gl.FLOAT, null);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.R16F, cols, rows, 0, gl.RED, gl.HALF_FLOAT, null);
+        }
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        const framebuffer = grid ? grid.framebuffer : this.createFramebuffer(texture);
 
-        this.updateForceFields();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
 
-        // Physics pass - compute new particle positions
-        const readTex = this.particleTextures[this.currentTexture];
-        const writeTex = this.particleTextures[1 - this.currentTexture];
-        const writeFB = this.framebuffers[1 - this.currentTexture];
+        this.densityGrid = { texture, framebuffer, cellSize, cols, rows };
+        return this.densityGrid;
+    }
 
-        gl.bindFramebuffer(gl.FRAMEBUFFER, writeFB);
-        gl.viewport(0, 0, this.textureSize, this.textureSize);
+    // Count particles per cell with additive blending. Readers scale the counts by
+    // cells / particleCount (see setDensityUniforms), so 1.0 is the average density whatever
+    // the particle count. Splatting that weight directly would add amounts too small to register
+    // next to a cell's running total in half floats.
+    splatDensity(particleTexture) {
+        const gl = this.gl;
+        const grid = this.updateDensityGrid();
 
-        gl.useProgram(this.physicsProgram);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, grid.framebuffer);
+        gl.viewport(0, 0, grid.cols, grid.rows);
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+
+        gl.useProgram(this.densityProgram);
+        gl.uniform2f(gl.getUniformLocation(this.densityProgram, 'u_densityExtent'),
+            grid.cols * grid.cellSize, grid.rows * grid.cellSize);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, particleTexture);
+        gl.uniform1i(gl.getUniformLocation(this.densityProgram, 'u_particles'), 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleBuffer);
+        const texCoordLoc = gl.getAttribLocation(this.densityProgram, 'a_texCoord');
+        gl.enableVertexAttribArray(texCoordLoc);
+        gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.POINTS, 0, this.config.particleCount);
+
+        gl.disable(gl.BLEND);
+    }
+
+    // Bind the density grid to texture unit 7, with the scale from counts to density
+    setDensityUniforms(program) {
+        const gl = this.gl;
+        const grid = this.densityGrid;
+        gl.activeTexture(gl.TEXTURE7);
+        gl.bindTexture(gl.TEXTURE_2D, grid.texture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_density'), 7);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_densityExtent'), grid.cols * grid.cellSize, grid.rows * grid.cellSize);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_densityScale'), grid.cols * grid.rows / this.config.particleCount);
+    }
+
+    // (Re)create the fluid grid when the canvas size changes. The grid spans the canvas exactly,
+    // so cells are only roughly FLUID_CELL_SIZE square.
+    updateFluid() {
+        const gl = this.gl;
+        const cols = Math.max(1, Math.round(this.canvas.width / FLUID_CELL_SIZE));
+        const rows = Math.max(1, Math.round(this.canvas.height / FLUID_CELL_SIZE));
+        const fluid = this.fluid;
+        if (fluid && fluid.cols === cols && fluid.rows === rows) return fluid;
+
+        if (fluid) {
+            [...fluid.velocity, ...fluid.pressure, fluid.divergence].forEach(t => this.deleteRenderTarget(t));
+        }
+        // Velocity in pixels per frame (xy) and dye (z); pressure and divergence are scalars.
+        // Everything wraps like the particles do, so the fluid domain is periodic.
+        const vector = { wrap: gl.REPEAT };
+        const scalar = { internalFormat: gl.R16F, format: gl.RED, wrap: gl.REPEAT };
+        this.fluid = {
+            cols,
+            rows,
+            velocity: [this.createRenderTarget(cols, rows, vector), this.createRenderTarget(cols, rows, vector)],
+            pressure: [this.createRenderTarget(cols, rows, scalar), this.createRenderTarget(cols, rows, scalar)],
+            divergence: this.createRenderTarget(cols, rows, scalar)
+        };
+        return this.fluid;
+    }
+
+    // One stable fluids step: advect (with diffusion and forces), then project the velocity
+    // back to divergence-free by solving for pressure. Mouse drags and force fields stir the
+    // fluid and leave dye behind.
+    stepFluid() {
+        const gl = this.gl;
+        const fluid = this.updateFluid();
+        const config = this.config;
+
+        // Mouse movement since last frame - nothing while the pointer is off the canvas
+        const mouseActive = this.mouse.x > -1000;
+        const drag = mouseActive && this.fluidMouse
+            ? [this.mouse.x - this.fluidMouse.x, this.mouse.y - this.fluidMouse.y]
+            : [0, 0];
+        this.fluidMouse = mouseActive ? { x: this.mouse.x, y: this.mouse.y } : null;
+
+        gl.disable(gl.BLEND);
+
+        const advect = this.fluidAdvectProgram;
+        gl.useProgram(advect);
+        gl.uniform2f(gl.getUniformLocation(advect, 'u_resolution'), this.canvas.width, this.canvas.height);
+        gl.uniform1f(gl.getUniformLocation(advect, 'u_time'), config.time);
+        gl.uniform1f(gl.getUniformLocation(advect, 'u_viscosity'), config.fluidViscosity);
+        gl.uniform1f(gl.getUniformLocation(advect, 'u_dissipation'), config.fluidDissipation);
+        gl.uniform1f(gl.getUniformLocation(advect, 'u_forceScale'), config.fluidForce * config.forceFieldStrength);
+        gl.uniform3f(gl.getUniformLocation(advect, 'u_mouse'), this.mouse.x, this.mouse.y, this.mouse.radius);
+        gl.uniform2f(gl.getUniformLocation(advect, 'u_mouseDrag'), drag[0], drag[1]);
+        gl.uniform1f(gl.getUniformLocation(advect, 'u_mouseStrength'), this.mouse.strength * config.fluidForce);
+        this.setForceFieldUniforms(advect);
+        this.runPass(advect, fluid.velocity[1], { u_velocity: fluid.velocity[0].texture });
+        fluid.velocity.reverse();
+
+        this.runPass(this.fluidDivergenceProgram, fluid.divergence, { u_velocity: fluid.velocity[0].texture });
+
+        // Jacobi iterations, warm-started from last frame's pressure
+        for (let i = 0; i < FLUID_PRESSURE_ITERATIONS; i++) {
+            this.runPass(this.fluidPressureProgram, fluid.pressure[1], {
+                u_pressure: fluid.pressure[0].texture,
+                u_divergence: fluid.divergence.texture
+            });
+            fluid.pressure.reverse();
+        }
+
+        this.runPass(this.fluidProjectProgram, fluid.velocity[1], {
+            u_velocity: fluid.velocity[0].texture,
+            u_pressure: fluid.pressure[0].texture
+        });
+        fluid.velocity.reverse();
+    }
+
+    // Bind the fluid velocity and dye to texture unit 8
+    setFluidUniforms(program) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE8);
+        gl.bindTexture(gl.TEXTURE_2D, this.fluid.velocity[0].texture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_fluid'), 8);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    // Bind the neighbor grid from binParticles (null when interactions are off) to texture unit 6
+    setNeighborGridUniforms(program, grid) {
+        const gl = this.gl;
+        gl.uniform1i(gl.getUniformLocation(program, 'u_interactionsEnabled'), grid ? 1 : 0);
+        if (!grid) return;
+
+        gl.activeTexture(gl.TEXTURE6);
+        gl.bindTexture(gl.TEXTURE_2D, grid.texture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_neighborGrid'), 6);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_gridCellSize'), grid.cellSize);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_interactionRadius'), this.config.interactionRadius);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_alignmentInteraction'), this.config.alignmentInteraction);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_cohesionInteraction'), this.config.cohesionInteraction);
+    }
+
+    // Everything that defines a scene, as plain JSON-safe data.
+    // Force field positions are normalized to the canvas so scenes survive resizes.
+    getScene() {
+        const { time, ...config } = this.config;
+        return {
+            version: 1,
+            config,
+            maxForceFields: this.maxForceFields,
+            enabledForceTypes: [...this.enabledForceTypes],
+            mouse: { mode: this.mouse.mode, radius: this.mouse.radius, strength: this.mouse.strength },
+            postEffects: [...this.postEffects],
+            timeline: this.timeline ? JSON.parse(JSON.stringify(this.timeline)) : null,
+            // Custom palettes travel with the scene since their index isn't stable
+            palette: Math.floor(this.config.colorScheme) >= BUILTIN_PALETTES.length
+                ? { ...this.palettes[Math.floor(this.config.colorScheme)] }
+                : undefined,
+            forceFields: forceFieldsToScene(this.forceFields, this.canvas.width, this.canvas.height)
+        };
+    }
+
+    // Apply a (possibly partial) scene. Missing keys are left unchanged.
+    // particleCount needs new textures, so callers rebuild via reinitWithParticleCount first.
+    applyScene(scene) {
+        if (scene.config) {
+            const { particleCount, seed, time, ...config } = scene.config;
+            // Scenes from the Canvas 2D version carry keys this engine doesn't have
+            for (const [key, value] of Object.entries(config)) {
+                if (key in this.config) this.config[key] = value;
+            }
+            if (seed !== undefined && seed !== this.config.seed) {
+                this.reseed(seed);
+            }
+        }
+        if (scene.maxForceFields !== undefined) {
+            this.maxForceFields = scene.maxForceFields;
+        }
+        if (scene.enabledForceTypes) {
+            this.enabledForceTypes = enabledForceTypesFromScene(scene.enabledForceTypes);
+        }
+        if (scene.mouse) {
+            Object.assign(this.mouse, scene.mouse);
+        }
+        if (scene.postEffects) {
+            this.postEffects = postEffectsFromScene(scene.postEffects);
+        }
+        if (scene.timeline !== undefined) {
+            this.timeline = scene.timeline ? JSON.parse(JSON.stringify(scene.timeline)) : null;
+        }
+        if (scene.palette) {
+            this.config.colorScheme = this.addPalette(scene.palette);
+        }
+        if (scene.forceFields) {
+            this.forceFields = forceFieldsFromScene(scene.forceFields, this.canvas.width, this.canvas.height);
+        }
+        while (this.forceFields.length > this.maxForceFields) {
+            this.forceFields.shift();
+        }
+    }
+
+    // Apply keyframed config values for the current frame
+    applyTimeline() {
+        if (!this.timeline || !this.timelinePlaying) return;
+        Object.assign(this.config, evaluateTimeline(this.timeline, this.config.time));
+    }
 
-        // Set uniforms
+    // Jump to a frame and apply the timeline there (for scrubbing)
+    seek(time) {
+        this.config.time = Math.max(0, Math.round(time));
+        if (this.timeline) {
+            Object.assign(this.config, evaluateTimeline(this.timeline, this.config.time));
+        }
+    }
+
+    // Everything the physics shader reads except the particle state
+    setPhysicsUniforms(neighborGrid, noiseMode) {
+        const gl = this.gl;
+        gl.useProgram(this.physicsProgram);
+        gl.uniform1i(gl.getUniformLocation(this.physicsProgram, 'u_sampleField'), 0);
         gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_time'), this.config.time);
         gl.uniform2f(gl.getUniformLocation(this.physicsProgram, 'u_resolution'), this.canvas.width, this.canvas.height);
         gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_noiseScale'), this.config.noiseScale);
         gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_speed'), this.config.speed);
         gl.uniform1i(gl.getUniformLocation(this.physicsProgram, 'u_noiseMode'), this.config.noiseMode);
+        gl.uniform1i(gl.getUniformLocation(this.physicsProgram, 'u_forcesOnly'), noiseMode.forcesOnly ? 1 : 0);
+        for (const mode of this.noiseModes) {
+            for (const param of mode.params) {
+                gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_' + param.key), this.config[param.key]);
+            }
+        }
         gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_backgroundStrength'), this.config.backgroundStrength);
         gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_forceFieldStrength'), this.config.forceFieldStrength);
         gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_brownianMotion'), this.config.brownianMotion);
@@ -402,11 +986,72 @@ class FlowFieldsGL {
         gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_gravityInteraction'), this.config.gravityInteraction);
         gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_friction'), this.config.friction);
         gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_textureSize'), this.textureSize);
+        gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_seed'), this.seedHash);
+        gl.uniform2f(gl.getUniformLocation(this.physicsProgram, 'u_seedOffset'), this.seedNoiseOffset[0], this.seedNoiseOffset[1]);
+        this.setFlowImageUniforms(this.physicsProgram);
+        gl.uniform1i(gl.getUniformLocation(this.physicsProgram, 'u_imageFlowMode'), this.config.imageFlowMode);
+        gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_imageFlowMix'), this.flowImage ? this.config.imageFlowMix : 0);
+
+        this.setForceFieldUniforms(this.physicsProgram);
+        this.setNeighborGridUniforms(this.physicsProgram, neighborGrid);
+        this.setDensityUniforms(this.physicsProgram);
+        gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_pressure'), this.config.pressureStrength);
+        this.setFluidUniforms(this.physicsProgram);
+    }
+
+    // Velocities the particles are steered toward at the centers of a cols x rows grid over the
+    // canvas, as RGBA floats (x, y first) from the bottom row up. The physics shader computes
+    // them with brownian motion, interactions, pressure and the mouse left out.
+    sampleFlowField(cols, rows) {
+        const gl = this.gl;
+        const noiseMode = this.noiseModes[this.config.noiseMode] || this.noiseModes[0];
+        const target = this.createRenderTarget(cols, rows, { internalFormat: gl.RGBA32F, type: gl.FLOAT });
+
+        this.uploadForceFields();
+        this.setPhysicsUniforms(null, noiseMode);
+        gl.uniform1i(gl.getUniformLocation(this.physicsProgram, 'u_sampleField'), 1);
+        gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_brownianMotion'), 0);
+        gl.uniform1f(gl.getUniformLocation(this.physicsProgram, 'u_pressure'), 0);
+        gl.uniform3f(gl.getUniformLocation(this.physicsProgram, 'u_mouse'), -1000, -1000, 0);
+        this.runPass(this.physicsProgram, target, { u_particles: this.particleTextures[this.currentTexture] });
+
+        const data = new Float32Array(cols * rows * 4);
+        gl.readPixels(0, 0, cols, rows, gl.RGBA, gl.FLOAT, data);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.deleteRenderTarget(target);
+        return data;
+    }
+
+    update() {
+        const gl = this.gl;
 
-        // Force fields
-        const forceFieldData = this.getForceFieldUniforms();
-        gl.uniform1fv(gl.getUniformLocation(this.physicsProgram, 'u_forceFields'), forceFieldData);
-        gl.uniform1i(gl.getUniformLocation(this.physicsProgram, 'u_forceFieldCount'), this.forceFields.length);
+        this.applyTimeline();
+        this.updateForceFields();
+        if (this.flowImage instanceof HTMLVideoElement) {
+            this.uploadFlowImage();
+        }
+
+        // Physics pass - compute new particle positions
+        const readTex = this.particleTextures[this.currentTexture];
+        const writeTex = this.particleTextures[1 - this.currentTexture];
+        const writeFB = this.framebuffers[1 - this.currentTexture];
+
+        // Neighbor grid for particle interactions, built from the current positions
+        const neighborGrid = this.hasParticleInteractions() ? this.binParticles(readTex) : null;
+        if (this.needsDensity()) {
+            this.splatDensity(readTex);
+        }
+
+        this.uploadForceFields();
+        const noiseMode = this.noiseModes[this.config.noiseMode] || this.noiseModes[0];
+        if (noiseMode.fluid) {
+            this.stepFluid();
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, writeFB);
+        gl.viewport(0, 0, this.textureSize, this.textureSize);
+
+        this.setPhysicsUniforms(neighborGrid, noiseMode);
 
         // Bind particle state texture
         gl.activeTexture(gl.TEXTURE0);
@@ -428,8 +1073,142 @@ class FlowFieldsGL {
         const gl = this.gl;
 
         // === STEP 1: Render to trail texture (accumulates over time) ===
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.trailFramebuffer);
-        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        this.renderTrail(this.trailFramebuffer, this.canvas.width, this.canvas.height,
+            [0, 0, this.canvas.width, this.canvas.height], 1.0);
+
+        // === STEP 2: Tone map the trail texture and run the post effects to the screen ===
+        const { width, height } = this.canvas;
+        this.composite({ texture: this.trailTexture, framebuffer: this.trailFramebuffer, width, height },
+            { framebuffer: null, width, height });
+    }
+
+    // Bloom for an HDR image: bright parts are picked out at half size, blurred down a chain
+    // of halving levels and added back up. Returns the texture holding the result.
+    renderBloom(source, width, height) {
+        const gl = this.gl;
+
+        // Rebuild the chain when the source size changes (screen vs poster tiles)
+        const first = this.bloomLevels[0];
+        const levelWidth = Math.max(1, width >> 1);
+        const levelHeight = Math.max(1, height >> 1);
+        if (!first || first.width !== levelWidth || first.height !== levelHeight) {
+            this.bloomLevels.forEach(level => this.deleteRenderTarget(level));
+            this.bloomLevels = [];
+            for (let i = 0; i < BLOOM_LEVELS; i++) {
+                this.bloomLevels.push(this.createRenderTarget(Math.max(1, levelWidth >> i), Math.max(1, levelHeight >> i)));
+            }
+        }
+        const levels = this.bloomLevels;
+
+        gl.disable(gl.BLEND);
+        gl.useProgram(this.bloomPrefilterProgram);
+        gl.uniform1f(gl.getUniformLocation(this.bloomPrefilterProgram, 'u_threshold'), this.config.bloomThreshold);
+        this.runPass(this.bloomPrefilterProgram, levels[0], { u_texture: source });
+        for (let i = 1; i < levels.length; i++) {
+            this.runPass(this.bloomDownsampleProgram, levels[i], { u_texture: levels[i - 1].texture });
+        }
+
+        // Each level adds its blurred upsample of the level below
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        for (let i = levels.length - 2; i >= 0; i--) {
+            this.runPass(this.bloomUpsampleProgram, levels[i], { u_texture: levels[i + 1].texture });
+        }
+        gl.disable(gl.BLEND);
+
+        return levels[0].texture;
+    }
+
+    // Exposure, bloom and tone mapping from a trail target, then the post effects, into target
+    // (framebuffer null = screen). frame is [x, y, width, height]: where target sits in the whole
+    // picture in pixels, so effects line up across poster tiles. Feedback effects draw into trail.
+    composite(trail, target, frame = [0, 0, target.width, target.height]) {
+        const gl = this.gl;
+        const source = trail.texture;
+        const bloom = this.config.bloomIntensity > 0.001
+            ? this.renderBloom(source, target.width, target.height)
+            : source;
+        const effects = this.postEffects.map(getPostEffect);
+
+        // Rebuild the chain when the target size changes, like the bloom levels
+        const first = this.postTargets[0];
+        if (effects.length > 0 && (!first || first.width !== target.width || first.height !== target.height)) {
+            this.postTargets.forEach(t => this.deleteRenderTarget(t));
+            this.postTargets = [
+                this.createRenderTarget(target.width, target.height),
+                this.createRenderTarget(target.width, target.height)
+            ];
+        }
+
+        gl.disable(gl.BLEND);
+        const program = this.compositeProgram;
+        gl.useProgram(program);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_exposure'), this.config.exposure);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_toneMapping'), this.config.toneMapping);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_bloomIntensity'), bloom === source ? 0 : this.config.bloomIntensity);
+        this.runPass(program, effects.length > 0 ? this.postTargets[0] : target, { u_scene: source, u_bloom: bloom });
+        if (effects.length === 0) return;
+
+        this.updateColorGrade();
+        let input = this.postTargets[0];
+        effects.forEach((effect, i) => {
+            const last = i === effects.length - 1;
+            const effectProgram = this.postEffectPrograms[effect.id];
+            gl.useProgram(effectProgram);
+            gl.uniform4f(gl.getUniformLocation(effectProgram, 'u_frame'), frame[0], frame[1], frame[2], frame[3]);
+            gl.uniform1f(gl.getUniformLocation(effectProgram, 'u_time'), this.config.time);
+            gl.uniform1f(gl.getUniformLocation(effectProgram, 'u_exposure'), this.config.exposure);
+            for (const param of effect.params) {
+                gl.uniform1f(gl.getUniformLocation(effectProgram, 'u_' + param.key), this.config[param.key]);
+            }
+            // Past the textures runPass binds
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_3D, this.colorGradeTexture);
+            gl.uniform1i(gl.getUniformLocation(effectProgram, 'u_gradeTable'), 1);
+
+            if (effect.feedback) {
+                gl.enable(gl.BLEND);
+                gl.blendColor(0, 0, 0, this.config[effect.feedback]);
+                gl.blendFunc(gl.CONSTANT_ALPHA, gl.ONE_MINUS_CONSTANT_ALPHA);
+                this.runPass(effectProgram, trail, { u_image: input.texture });
+                gl.disable(gl.BLEND);
+                if (last) this.runPass(this.copyProgram, target, { u_texture: input.texture });
+            } else {
+                const output = last ? target : this.postTargets[input === this.postTargets[0] ? 1 : 0];
+                this.runPass(effectProgram, output, { u_image: input.texture });
+                input = output;
+            }
+        });
+    }
+
+    // Bake config.colorGrade into the 3D lookup table when it changes
+    updateColorGrade() {
+        const gl = this.gl;
+        const index = Math.min(Math.max(Math.round(this.config.colorGrade), 0), COLOR_GRADES.length - 1);
+        if (index === this.colorGradeIndex) return;
+        if (!this.colorGradeTexture) {
+            this.colorGradeTexture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_3D, this.colorGradeTexture);
+            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+        }
+        const size = COLOR_GRADE_SIZE;
+        gl.bindTexture(gl.TEXTURE_3D, this.colorGradeTexture);
+        gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA8, size, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+            buildColorGradeData(COLOR_GRADES[index]));
+        this.colorGradeIndex = index;
+    }
+
+    // Fade a trail framebuffer and draw particles into it.
+    // view is [x, y, width, height] in simulation pixels; pointScale scales particle size.
+    renderTrail(framebuffer, width, height, view, pointScale) {
+        const gl = this.gl;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.viewport(0, 0, width, height);
 
         // Fade existing content by drawing semi-transparent black quad
         gl.enable(gl.BLEND);
@@ -444,43 +1223,361 @@ class FlowFieldsGL {
         gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
         gl.drawArrays(gl.TRIANGLES, 0, 6);
 
-        // Render particles to trail texture with additive blending
-        gl.useProgram(this.renderProgram);
-
-        gl.uniform2f(gl.getUniformLocation(this.renderProgram, 'u_resolution'), this.canvas.width, this.canvas.height);
-        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_colorScheme'), this.config.colorScheme);
-        gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_particleSize'), this.config.particleSize);
-        gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_time'), this.config.time);
-        gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_opacity'), this.config.particleOpacity);
-        gl.uniform1f(gl.getUniformLocation(this.renderProgram, 'u_chargeRatio'), this.config.chargeRatio);
+        // Render particles to trail texture with additive blending, as points or line segments
+        const lines = this.config.renderMode === 1;
+        const program = lines ? this.lineProgram : this.renderProgram;
+        gl.useProgram(program);
+
+        gl.uniform4f(gl.getUniformLocation(program, 'u_view'), view[0], view[1], view[2], view[3]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.canvas.width, this.canvas.height);
+        // Fractional color schemes crossfade into the next palette
+        const paletteCount = this.palettes.length;
+        const scheme = Math.min(Math.max(this.config.colorScheme, 0), paletteCount - 1);
+        const paletteA = Math.floor(scheme);
+        const paletteB = (paletteA + 1) % paletteCount;
+        const sourceIndex = p => Object.keys(PALETTE_SOURCES).indexOf(this.palettes[p].source);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_paletteRows'),
+            (paletteA + 0.5) / paletteCount, (paletteB + 0.5) / paletteCount);
+        gl.uniform2i(gl.getUniformLocation(program, 'u_paletteSources'), sourceIndex(paletteA), sourceIndex(paletteB));
+        gl.uniform1f(gl.getUniformLocation(program, 'u_paletteBlend'), scheme - paletteA);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_particleSize'), this.config.particleSize * pointScale);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_pointScale'), pointScale);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_lineWidth'), this.config.lineWidth * pointScale);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_lineTaper'), this.config.lineTaper);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_symmetry'), this.config.symmetry);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_symmetryMirror'), this.config.symmetryMirror ? 1 : 0);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_symmetryCenter'),
+            this.config.symmetryX * this.canvas.width, this.config.symmetryY * this.canvas.height);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_time'), this.config.time);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_opacity'), this.config.particleOpacity);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_chargeRatio'), this.config.chargeRatio);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_imageColorMix'), this.flowImage ? this.config.imageColorMix : 0);
+        this.setFlowImageUniforms(program);
+        this.setDensityUniforms(program);
+        this.setFluidUniforms(program);
 
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, this.particleTextures[this.currentTexture]);
-        gl.uniform1i(gl.getUniformLocation(this.renderProgram, 'u_particles'), 0);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_particles'), 0);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_palette'), 1);
+        gl.activeTexture(gl.TEXTURE0);
 
         gl.bindBuffer(gl.ARRAY_BUFFER, this.particleBuffer);
-        const texCoordLoc = gl.getAttribLocation(this.renderProgram, 'a_texCoord');
+        const texCoordLoc = gl.getAttribLocation(program, 'a_texCoord');
         gl.enableVertexAttribArray(texCoordLoc);
         gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
 
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
-        gl.drawArrays(gl.POINTS, 0, this.config.particleCount);
+        const copies = this.config.symmetry * (this.config.symmetryMirror ? 2 : 1);
+        if (lines) {
+            // One instance per particle, with a quad per copy picked out by gl_VertexID
+            gl.vertexAttribDivisor(texCoordLoc, 1);
+            gl.drawArraysInstanced(gl.TRIANGLES, 0, 6 * copies, this.config.particleCount);
+            gl.vertexAttribDivisor(texCoordLoc, 0);
+        } else {
+            // One instance per copy
+            gl.drawArraysInstanced(gl.POINTS, 0, this.config.particleCount, copies);
+        }
+    }
 
-        // === STEP 2: Copy trail texture to screen ===
+    // Copy the current particle state, fluid, time, force fields and PRNG position
+    saveState() {
+        const gl = this.gl;
+        const size = this.textureSize;
+        const texture = this.createParticleTexture();
+        const framebuffer = this.createFramebuffer(texture);
+
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.framebuffers[this.currentTexture]);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, framebuffer);
+        gl.blitFramebuffer(0, 0, size, size, 0, 0, size, size, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+
+        const { cols, rows } = this.fluid;
+        const fluidVelocity = this.createRenderTarget(cols, rows, { wrap: gl.REPEAT });
+        const fluidPressure = this.createRenderTarget(cols, rows, { internalFormat: gl.R16F, format: gl.RED, wrap: gl.REPEAT });
+        this.blitFluid(this.fluid.velocity[0], fluidVelocity);
+        this.blitFluid(this.fluid.pressure[0], fluidPressure);
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-        gl.disable(gl.BLEND);
 
-        gl.useProgram(this.copyProgram);
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.trailTexture);
-        gl.uniform1i(gl.getUniformLocation(this.copyProgram, 'u_texture'), 0);
+        return {
+            texture,
+            framebuffer,
+            fluidVelocity,
+            fluidPressure,
+            time: this.config.time,
+            randomState: this.random.getState(),
+            forceFields: this.forceFields.map(f => ({ ...f }))
+        };
+    }
 
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-        const copyPosLoc = gl.getAttribLocation(this.copyProgram, 'a_position');
-        gl.enableVertexAttribArray(copyPosLoc);
-        gl.vertexAttribPointer(copyPosLoc, 2, gl.FLOAT, false, 0, 0);
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    // Copy one fluid target into another of the same size
+    blitFluid(from, to) {
+        const gl = this.gl;
+        const { cols, rows } = this.fluid;
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, from.framebuffer);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, to.framebuffer);
+        gl.blitFramebuffer(0, 0, cols, rows, 0, 0, cols, rows, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+    }
+
+    // Free the GPU copies held by a saved state
+    releaseState(state) {
+        const gl = this.gl;
+        gl.deleteFramebuffer(state.framebuffer);
+        gl.deleteTexture(state.texture);
+        this.deleteRenderTarget(state.fluidVelocity);
+        this.deleteRenderTarget(state.fluidPressure);
+    }
+
+    restoreState(state) {
+        const gl = this.gl;
+        const size = this.textureSize;
+
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, state.framebuffer);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, this.framebuffers[this.currentTexture]);
+        gl.blitFramebuffer(0, 0, size, size, 0, 0, size, size, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+        this.blitFluid(state.fluidVelocity, this.fluid.velocity[0]);
+        this.blitFluid(state.fluidPressure, this.fluid.pressure[0]);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        this.fluidMouse = null;
+        this.config.time = state.time;
+        this.random.setState(state.randomState);
+        this.forceFields = state.forceFields.map(f => ({ ...f }));
+    }
+
+    // Render the simulation offscreen at poster resolution and return a PNG blob.
+    // The screen is scaled to cover the poster, so the composition matches what's on screen.
+    // Posters larger than the GPU's texture limit are rendered in tiles, re-running the
+    // simulation from the same starting state for each tile.
+    async renderPoster(width, height, options = {}) {
+        const gl = this.gl;
+        const frames = options.frames ?? 300;
+        const onProgress = options.onProgress || (() => {});
+        if (!(Number.isFinite(width) && width > 0 && Number.isFinite(height) && height > 0)) {
+            throw new Error(`Invalid poster size ${width} x ${height}`);
+        }
+        if (!(Number.isFinite(frames) && frames > 0)) {
+            throw new Error(`Invalid poster frame count ${frames}`);
+        }
+        // Both take over update() and restore state around it
+        if (this.exportingFrames) {
+            throw new Error('A frame export is running');
+        }
+
+        const scale = Math.max(width / this.canvas.width, height / this.canvas.height);
+        const viewX = (this.canvas.width - width / scale) / 2;
+        const viewY = (this.canvas.height - height / scale) / 2;
+
+        // Points are culled by their center, so tiles overlap by a margin to avoid seams
+        const margin = Math.ceil(Math.max(this.config.particleSize, this.config.lineWidth) * scale) + 2;
+        const viewportDims = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), viewportDims[0], viewportDims[1]);
+        const tileSize = maxSize - margin * 2;
+        const tilesX = Math.ceil(width / tileSize);
+        const tilesY = Math.ceil(height / tileSize);
+        const bufferWidth = Math.min(width, tileSize) + margin * 2;
+        const bufferHeight = Math.min(height, tileSize) + margin * 2;
+
+        // Tiles accumulate in HDR like the screen trail, then are tone mapped to 8 bits for reading
+        const tile = this.createRenderTarget(bufferWidth, bufferHeight);
+        const tileOutput = this.createRenderTarget(bufferWidth, bufferHeight,
+            { internalFormat: gl.RGBA8, type: gl.UNSIGNED_BYTE });
+
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const outputCtx = output.getContext('2d');
+
+        // Freeze the live view and mouse while rendering. The screen isn't drawn either, since
+        // that would resize the bloom and post targets back and forth between batches.
+        const wasPaused = this.paused;
+        const savedMouse = { x: this.mouse.x, y: this.mouse.y };
+        this.paused = true;
+        this.renderingPoster = true;
+        this.mouse.x = -1000;
+        this.mouse.y = -1000;
+        const state = this.saveState();
+
+        try {
+            const totalFrames = frames * tilesX * tilesY;
+            let framesDone = 0;
+
+            for (let ty = 0; ty < tilesY; ty++) {
+                for (let tx = 0; tx < tilesX; tx++) {
+                    const x0 = tx * tileSize;
+                    const y0 = ty * tileSize;
+                    const tw = Math.min(tileSize, width - x0);
+                    const th = Math.min(tileSize, height - y0);
+                    const view = [
+                        viewX + (x0 - margin) / scale,
+                        viewY + (y0 - margin) / scale,
+                        bufferWidth / scale,
+                        bufferHeight / scale
+                    ];
+
+                    this.restoreState(state);
+                    gl.bindFramebuffer(gl.FRAMEBUFFER, tile.framebuffer);
+                    gl.clearColor(0.0, 0.0, 0.0, 1.0);
+                    gl.clear(gl.COLOR_BUFFER_BIT);
+
+                    // Feedback changes the trail, so the effects run every frame when it's on
+                    const frame = [x0 - margin, y0 - margin, width, height];
+                    const feedback = this.postEffects.some(id => getPostEffect(id).feedback);
+                    for (let f = 0; f < frames; f++) {
+                        this.update();
+                        this.renderTrail(tile.framebuffer, bufferWidth, bufferHeight, view, scale);
+                        if (feedback || f === frames - 1) {
+                            this.composite(tile, tileOutput, frame);
+                        }
+                        framesDone++;
+                        if (f % 10 === 0) {
+                            onProgress(framesDone / totalFrames);
+                            await new Promise(resolve => setTimeout(resolve, 0));
+                        }
+                    }
+
+                    // Read back the tile (bottom-up rows) and place it in the output (top-down)
+                    const pixels = new Uint8Array(tw * th * 4);
+                    gl.bindFramebuffer(gl.FRAMEBUFFER, tileOutput.framebuffer);
+                    gl.readPixels(margin, margin, tw, th, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+                    const image = outputCtx.createImageData(tw, th);
+                    const rowBytes = tw * 4;
+                    for (let row = 0; row < th; row++) {
+                        image.data.set(pixels.subarray(row * rowBytes, (row + 1) * rowBytes), (th - 1 - row) * rowBytes);
+                    }
+                    outputCtx.putImageData(image, x0, height - y0 - th);
+                }
+            }
+            onProgress(1);
+        } finally {
+            this.restoreState(state);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            this.releaseState(state);
+            this.deleteRenderTarget(tile);
+            this.deleteRenderTarget(tileOutput);
+            this.paused = wasPaused;
+            this.renderingPoster = false;
+            this.mouse.x = savedMouse.x;
+            this.mouse.y = savedMouse.y;
+        }
+
+        return new Promise((resolve, reject) => {
+            output.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
+    }
+
+    // Plotter-ready SVG of evenly spaced streamlines through the field as it is now (see
+    // flow-streamlines.js for the options), stroked with the current palette
+    exportStreamlinesSVG(options = {}) {
+        const { width, height } = this.canvas;
+        // One sample every few pixels is finer than the noise varies; the tracer interpolates
+        const cols = Math.ceil(width / 4);
+        const rows = Math.ceil(height / 4);
+        const sampleField = gridFieldSampler(this.sampleFlowField(cols, rows), cols, rows, width, height);
+        const lines = traceStreamlines(sampleField, width, height,
+            { random: createSeededRandom(this.config.seed), ...options });
+
+        // Lines take the place of particles in the palette's source, like the particle shader
+        const palette = this.palettes[Math.floor(this.config.colorScheme)];
+        const paletteT = line => {
+            switch (palette.source) {
+                case 'velocity': return 0.5 + (line.speed - 1) * 0.4;
+                case 'direction': return line.angle;
+                case 'charge': return line.id < this.config.chargeRatio ? 1 : 0;
+                default: return line.id;
+            }
+        };
+        return streamlinesToSVG(lines, width, height,
+            { ...options, color: streamlinePaletteColor(palette, paletteT) });
+    }
+
+    // Realtime capture of the canvas via MediaRecorder
+    startRecording(fps = 60) {
+        if (this.recorder) return;
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('No supported video format for recording');
+        }
+
+        const recorder = new MediaRecorder(this.canvas.captureStream(fps), {
+            mimeType,
+            videoBitsPerSecond: 25000000
+        });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        this.recordingDone = new Promise(resolve => {
+            recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType }));
+        });
+        recorder.start(1000);
+        this.recorder = recorder;
+    }
+
+    async stopRecording() {
+        if (!this.recorder) return null;
+        this.recorder.stop();
+        this.recorder.stream.getTracks().forEach(track => track.stop());
+        const blob = await this.recordingDone;
+        this.recorder = null;
+        this.recordingDone = null;
+        return blob;
+    }
+
+    // Fixed-timestep export: steps update()/render() stepsPerFrame times per output frame
+    // and captures each frame as a PNG, so slow scenes still export at a steady frame rate.
+    // Returns ZIP blobs of numbered frames: one, unless the frames pass the ZIP limits (see
+    // createZip), in which case they're split across archives that unpack into one sequence.
+    async exportFrames(frameCount, options = {}) {
+        const stepsPerFrame = options.stepsPerFrame ?? 1;
+        const onProgress = options.onProgress || (() => {});
+        if (this.renderingPoster) {
+            throw new Error('A poster is rendering');
+        }
+
+        // Take over the animation loop so every rendered frame is captured
+        const wasAnimating = this.animationId != null;
+        if (wasAnimating) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.exportAborted = false;
+        this.exportingFrames = true;
+
+        const archives = [[]];
+        let archiveSize = ZIP_END_SIZE;
+        try {
+            for (let frame = 0; frame < frameCount && !this.exportAborted; frame++) {
+                for (let step = 0; step < stepsPerFrame; step++) {
+                    this.update();
+                    this.render();
+                }
+                const blob = await new Promise((resolve, reject) => {
+                    this.canvas.toBlob(b => b ? resolve(b) : reject(new Error('PNG encoding failed')), 'image/png');
+                });
+                const file = { name: `frame-${String(frame).padStart(5, '0')}.png`, blob };
+                const size = zipEntrySize(file);
+                if (archives[archives.length - 1].length === ZIP_MAX_ENTRIES || archiveSize + size > ZIP_MAX_SIZE) {
+                    archives.push([]);
+                    archiveSize = ZIP_END_SIZE;
+                }
+                archives[archives.length - 1].push(file);
+                archiveSize += size;
+                onProgress((frame + 1) / frameCount);
+            }
+        } finally {
+            this.exportingFrames = false;
+            if (wasAnimating) this.animate();
+        }
+
+        return Promise.all(archives.map(createZip));
+    }
+
+    abortExport() {
+        this.exportAborted = true;
     }
 
     resize() {
@@ -490,7 +1587,7 @@ class FlowFieldsGL {
         // Recreate trail texture at new size
         const gl = this.gl;
         gl.bindTexture(gl.TEXTURE_2D, this.trailTexture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.canvas.width, this.canvas.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, this.canvas.width, this.canvas.height, 0, gl.RGBA, gl.HALF_FLOAT, null);
 
         // Clear the trail texture
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.trailFramebuffer);
@@ -507,10 +1604,32 @@ class FlowFieldsGL {
             cancelAnimationFrame(this.animationId);
         }
 
+        // The canvas outlives the engine, so its listeners would keep editing this one
+        for (const [type, handler, options] of this.canvasListeners) {
+            this.canvas.removeEventListener(type, handler, options);
+        }
+        this.canvasListeners = [];
+
         // Delete textures
         gl.deleteTexture(this.particleTextures[0]);
         gl.deleteTexture(this.particleTextures[1]);
         gl.deleteTexture(this.trailTexture);
+        gl.deleteTexture(this.paletteTexture);
+        gl.deleteTexture(this.flowImageTexture);
+        gl.deleteTexture(this.forceFieldTexture);
+        gl.deleteTexture(this.forceCellTexture);
+        gl.deleteTexture(this.forceIndexTexture);
+        if (this.neighborGrid) {
+            gl.deleteTexture(this.neighborGrid.texture);
+            gl.deleteRenderbuffer(this.neighborGrid.stencil);
+            gl.deleteFramebuffer(this.neighborGrid.framebuffer);
+        }
+        gl.deleteTexture(this.densityGrid.texture);
+        gl.deleteFramebuffer(this.densityGrid.framebuffer);
+        [...this.fluid.velocity, ...this.fluid.pressure, this.fluid.divergence].forEach(t => this.deleteRenderTarget(t));
+        this.bloomLevels.forEach(level => this.deleteRenderTarget(level));
+        this.postTargets.forEach(t => this.deleteRenderTarget(t));
+        gl.deleteTexture(this.colorGradeTexture);
 
         // Delete framebuffers
         gl.deleteFramebuffer(this.framebuffers[0]);
@@ -524,8 +1643,21 @@ class FlowFieldsGL {
         // Delete programs
         gl.deleteProgram(this.physicsProgram);
         gl.deleteProgram(this.renderProgram);
+        gl.deleteProgram(this.lineProgram);
         gl.deleteProgram(this.trailProgram);
+        gl.deleteProgram(this.compositeProgram);
         gl.deleteProgram(this.copyProgram);
+        Object.values(this.postEffectPrograms).forEach(program => gl.deleteProgram(program));
+        gl.deleteProgram(this.bloomPrefilterProgram);
+        gl.deleteProgram(this.bloomDownsampleProgram);
+        gl.deleteProgram(this.bloomUpsampleProgram);
+        gl.deleteProgram(this.gridProgram);
+        gl.deleteProgram(this.gridSlotProgram);
+        gl.deleteProgram(this.densityProgram);
+        gl.deleteProgram(this.fluidAdvectProgram);
+        gl.deleteProgram(this.fluidDivergenceProgram);
+        gl.deleteProgram(this.fluidPressureProgram);
+        gl.deleteProgram(this.fluidProjectProgram);
 
         // Clear canvas
         gl.clearColor(0.0, 0.0, 0.0, 1.0);
@@ -536,55 +1668,232 @@ class FlowFieldsGL {
         if (!this.paused) {
             this.update();
         }
-        this.render();
+        if (!this.renderingPoster) {
+            this.render();
+        }
         this.animationId = requestAnimationFrame(() => this.animate());
     }
 }
 
-// ============ SHADERS ============
+// ============ FORCE FIELD BINS ============
+
+// The canvas is split into square bins and each bin lists the fields whose radius reaches it,
+// so a particle only tests the fields near it however many there are in the scene.
+const FORCE_BIN_SIZE = 64;       // Bin size in pixels
+const FORCE_TEXTURE_WIDTH = 1024; // Texels per row in the field and index textures
+
+// Pack fields into texture data:
+//   fieldData - two RGBA texels per field: (x, y, type, strength), (radius, rotation, life, angle)
+//   cellData  - one RG texel per bin: (first entry in indexData, entry count)
+//   indexData - field indices, bin by bin
+// This runs every frame, so the arrays live in buffers (kept by the caller between calls) and
+// only grow; the returned arrays are views of the part in use.
+function binForceFields(fields, width, height, buffers = {}) {
+    const cols = Math.max(1, Math.ceil(width / FORCE_BIN_SIZE));
+    const rows = Math.max(1, Math.ceil(height / FORCE_BIN_SIZE));
+
+    const fieldRows = Math.max(1, Math.ceil(fields.length * 2 / FORCE_TEXTURE_WIDTH));
+    const fieldLength = FORCE_TEXTURE_WIDTH * fieldRows * 4;
+    const fieldData = buffers.fieldData = growFloatBuffer(buffers.fieldData, fieldLength);
+    fields.forEach((f, i) => {
+        const o = i * 8;
+        fieldData[o] = f.x;
+        fieldData[o + 1] = f.y;
+        fieldData[o + 2] = f.type;
+        fieldData[o + 3] = f.strength;
+        fieldData[o + 4] = f.radius;
+        fieldData[o + 5] = f.rotation;
+        fieldData[o + 6] = f.life / 500;
+        fieldData[o + 7] = f.angle || 0;
+    });
+
+    // Count the entries in each bin, turn the counts into offsets, then drop each field's index
+    // into the next free slot of its bins
+    const cellLength = cols * rows * 2;
+    const cellData = buffers.cellData = growFloatBuffer(buffers.cellData, cellLength);
+    cellData.fill(0, 0, cellLength);
+    let entries = 0;
+    for (const f of fields) {
+        forEachForceBin(f, cols, rows, cell => {
+            cellData[cell * 2 + 1]++;
+            entries++;
+        });
+    }
+    let offset = 0;
+    for (let cell = 0; cell < cols * rows; cell++) {
+        cellData[cell * 2] = offset;
+        offset += cellData[cell * 2 + 1];
+        cellData[cell * 2 + 1] = 0;
+    }
 
-const physicsVertexShader = `#version 300 es
-in vec2 a_position;
-out vec2 v_texCoord;
+    const indexRows = Math.max(1, Math.ceil(entries / FORCE_TEXTURE_WIDTH));
+    const indexLength = FORCE_TEXTURE_WIDTH * indexRows;
+    const indexData = buffers.indexData = growFloatBuffer(buffers.indexData, indexLength);
+    fields.forEach((f, i) => {
+        forEachForceBin(f, cols, rows, cell => {
+            indexData[cellData[cell * 2] + cellData[cell * 2 + 1]++] = i;
+        });
+    });
+
+    return {
+        cols, rows,
+        cellData: cellData.subarray(0, cellLength),
+        fieldRows,
+        fieldData: fieldData.subarray(0, fieldLength),
+        indexRows,
+        indexData: indexData.subarray(0, indexLength)
+    };
+}
 
-void main() {
-    v_texCoord = a_position * 0.5 + 0.5;
-    gl_Position = vec4(a_position, 0.0, 1.0);
-}`;
+// Calls visit(cell) for each bin a field's circle reaches, clamped to the canvas
+function forEachForceBin(f, cols, rows, visit) {
+    const x0 = Math.max(0, Math.floor((f.x - f.radius) / FORCE_BIN_SIZE));
+    const x1 = Math.min(cols - 1, Math.floor((f.x + f.radius) / FORCE_BIN_SIZE));
+    const y0 = Math.max(0, Math.floor((f.y - f.radius) / FORCE_BIN_SIZE));
+    const y1 = Math.min(rows - 1, Math.floor((f.y + f.radius) / FORCE_BIN_SIZE));
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            // Skip bins the bounding box covers but the circle misses
+            const nearX = Math.min(Math.max(f.x, x * FORCE_BIN_SIZE), (x + 1) * FORCE_BIN_SIZE);
+            const nearY = Math.min(Math.max(f.y, y * FORCE_BIN_SIZE), (y + 1) * FORCE_BIN_SIZE);
+            if (Math.hypot(f.x - nearX, f.y - nearY) > f.radius) continue;
+            visit(y * cols + x);
+        }
+    }
+}
 
-const physicsFragmentShader = `#version 300 es
-precision highp float;
+// The buffer if it holds length values, else a new one with room to grow into
+function growFloatBuffer(buffer, length) {
+    if (buffer && buffer.length >= length) return buffer;
+    return new Float32Array(Math.max(length, buffer ? buffer.length * 2 : 0));
+}
 
-in vec2 v_texCoord;
-out vec4 fragColor;
+// ============ NEIGHBOR GRID ============
 
-uniform sampler2D u_particles;
-uniform float u_time;
-uniform vec2 u_resolution;
-uniform float u_noiseScale;
-uniform float u_speed;
-uniform int u_noiseMode;
-uniform float u_backgroundStrength;
-uniform float u_forceFieldStrength;
-uniform float u_brownianMotion;
-uniform float u_globalGravity;
-uniform float u_globalSwirl;
-uniform vec3 u_mouse;
-uniform float u_mouseStrength;
-uniform int u_mouseMode;
-uniform float u_forceFields[320]; // 40 force fields * 8 floats each
-uniform int u_forceFieldCount;
-uniform float u_respawnRate;
-uniform bool u_zonesEnabled;
-uniform float u_zonesStrength;
-uniform float u_chargeInteraction;
-uniform float u_chargeRatio;
-uniform float u_gravityInteraction;
-uniform float u_friction;
-uniform float u_textureSize;
+// Particle interactions look up neighbors in a grid of interactionRadius-sized cells, like
+// FlowSimulation.getNearbyParticles: the 3x3 cells around a particle cover the whole radius.
+// A cell keeps the first NEIGHBOR_GRID_SLOTS^2 particles that land in it; the rest of a crowded
+// cell is skipped, which thins interactions in dense clumps but keeps the cost per particle fixed.
+const NEIGHBOR_GRID_SLOTS = 4; // Slots per cell side
 
-// Simplex noise functions
-vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+// ============ DENSITY GRID ============
+
+// Particle-in-cell density: particles are counted into a coarse grid whose gradient drives the
+// pressure force and the Density palette source
+const DENSITY_MIN_CELL_SIZE = 8;       // Smallest cell in pixels
+const DENSITY_PARTICLES_PER_CELL = 4;  // Target average count, so sparse runs get larger cells
+
+// ============ FLUID ============
+
+// Stable fluids (Stam 1999) on a coarse grid: semi-Lagrangian advection, diffusion by blending
+// toward the neighbor average, and a Jacobi pressure solve to keep the flow incompressible
+const FLUID_CELL_SIZE = 8;            // Approximate cell size in pixels
+const FLUID_PRESSURE_ITERATIONS = 20;
+const FLUID_MAX_SPEED = 20;           // Velocity clamp in pixels per frame, keeps drags stable
+
+// ============ BLOOM ============
+
+const BLOOM_LEVELS = 5; // Halving blur levels below the half-size bright pass
+const TONE_MAPPINGS = ['Linear', 'Reinhard', 'ACES', 'Filmic']; // config.toneMapping indexes into this
+
+// ============ PARTICLE DRAWING ============
+
+const RENDER_MODES = ['Points', 'Lines']; // config.renderMode indexes into this
+
+// ============ ZIP ============
+
+// Minimal uncompressed (store) ZIP writer for exported frame sequences
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[i] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Counts, sizes and offsets are 16 and 32 bits without the ZIP64 extension, which this doesn't write
+const ZIP_MAX_ENTRIES = 0xFFFF;
+const ZIP_MAX_SIZE = 0xFFFFFFFF;
+const ZIP_END_SIZE = 22; // End of central directory record
+
+// Bytes a file adds to an archive: local header, name and data, then its directory entry
+function zipEntrySize(file) {
+    const nameLength = new TextEncoder().encode(file.name).length;
+    return 30 + nameLength + file.blob.size + 46 + nameLength;
+}
+
+// files: [{ name, blob }] -> Blob (application/zip). Throws past the limits above.
+async function createZip(files) {
+    const totalSize = files.reduce((sum, file) => sum + zipEntrySize(file), ZIP_END_SIZE);
+    if (files.length > ZIP_MAX_ENTRIES || totalSize > ZIP_MAX_SIZE) {
+        throw new Error(`${files.length} files (${totalSize} bytes) is past the ZIP limits`);
+    }
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = new Uint8Array(await file.blob.arrayBuffer());
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // Local file header signature
+        local.setUint16(4, 20, true);            // Version needed
+        local.setUint16(10, 0, true);            // Mod time
+        local.setUint16(12, 33, true);           // Mod date (1980-01-01)
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);  // Compressed size (stored)
+        local.setUint32(22, data.length, true);  // Uncompressed size
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.blob);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);  // Central directory signature
+        central.setUint16(4, 20, true);          // Version made by
+        central.setUint16(6, 20, true);          // Version needed
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 33, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);     // Local header offset
+        directory.push(central, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);          // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+// ============ SHADERS ============
+
+// Shared GLSL chunks, spliced into the shaders below
+
+// 2D simplex noise (Ashima Arts / Stefan Gustavson)
+const simplexNoiseGLSL = `vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
 vec2 mod289(vec2 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
 vec3 permute(vec3 x) { return mod289(((x*34.0)+1.0)*x); }
 
@@ -613,68 +1922,42 @@ float snoise(vec2 v) {
     g.x  = a0.x  * x0.x  + h.x  * x0.y;
     g.yz = a0.yz * x12.xz + h.yz * x12.yw;
     return 130.0 * dot(m, g);
-}
-
-// Hash-based pseudo-random (better distribution, no grid artifacts)
-float random(vec2 st) {
-    vec3 p3 = fract(vec3(st.xyx) * 0.1031);
-    p3 += dot(p3, p3.yzx + 33.33);
-    return fract((p3.x + p3.y) * p3.z);
-}
+}`;
 
-float getNoiseValue(vec2 pos, float time) {
-    float ns = u_noiseScale;
-    vec2 np = pos * ns + time * 0.0001;
-
-    if (u_noiseMode == 0) {
-        // Classic
-        return snoise(np);
-    } else if (u_noiseMode == 1) {
-        // Turbulent fBm
-        return snoise(np) * 0.5 +
-               snoise(np * 2.0) * 0.25 +
-               snoise(np * 4.0) * 0.125 +
-               snoise(np * 8.0) * 0.0625;
-    } else if (u_noiseMode == 2) {
-        // Ridged
-        float n = 1.0 - abs(snoise(np));
-        n *= n;
-        n += (1.0 - abs(snoise(np * 2.0))) * 0.5;
-        n += (1.0 - abs(snoise(np * 4.0))) * 0.25;
-        return n * 0.7 - 0.5;
-    } else if (u_noiseMode == 3) {
-        // Billow
-        return abs(snoise(np)) * 0.5 +
-               abs(snoise(np * 2.0)) * 0.25 +
-               abs(snoise(np * 4.0)) * 0.125;
-    } else if (u_noiseMode == 4) {
-        // Domain warp
-        float warpX = snoise(np) * 0.5;
-        float warpY = snoise(np + vec2(5.2, 1.3)) * 0.5;
-        return snoise(np + vec2(warpX, warpY)) +
-               snoise((np + vec2(warpX, warpY)) * 2.0) * 0.5;
-    }
-
-    return 0.0; // Forces only mode
-}
+// Force field sum at a position, from the textures set up by setForceFieldUniforms.
+// Expects u_time and snoise() in scope.
+const forceFieldGLSL = `uniform sampler2D u_forceFields;  // 2 texels per field (see binForceFields)
+uniform sampler2D u_forceCells;   // Per-bin (start, count) into u_forceIndices
+uniform sampler2D u_forceIndices; // Field indices, bin by bin
+uniform int u_forceFieldCount;
+uniform float u_forceBinSize;
 
 vec2 getForceFieldEffect(vec2 pos) {
     vec2 totalForce = vec2(0.0);
-
-    for (int i = 0; i < 16; i++) {
-        if (i >= u_forceFieldCount) break;
-
-        int idx = i * 8;
-        float fx = u_forceFields[idx];
-        float fy = u_forceFields[idx + 1];
-        float ftype = u_forceFields[idx + 2];
-        float strength = u_forceFields[idx + 3];
-        float radius = u_forceFields[idx + 4];
-        float rotation = u_forceFields[idx + 5];
-        float life = u_forceFields[idx + 6];
-        float isActive = u_forceFields[idx + 7];
-
-        if (isActive < 0.5) continue;
+    if (u_forceFieldCount == 0) return totalForce;
+
+    // Only the fields listed for this particle's bin can reach it
+    ivec2 bins = textureSize(u_forceCells, 0);
+    ivec2 bin = clamp(ivec2(floor(pos / u_forceBinSize)), ivec2(0), bins - 1);
+    vec2 cell = texelFetch(u_forceCells, bin, 0).rg;
+    int start = int(cell.x);
+    int count = int(cell.y);
+    int width = textureSize(u_forceIndices, 0).x;
+
+    for (int i = 0; i < count; i++) {
+        int entry = start + i;
+        int field = int(texelFetch(u_forceIndices, ivec2(entry % width, entry / width), 0).r);
+        ivec2 texel = ivec2((field * 2) % width, (field * 2) / width);
+        vec4 a = texelFetch(u_forceFields, texel, 0);
+        vec4 b = texelFetch(u_forceFields, texel + ivec2(1, 0), 0);
+        float fx = a.x;
+        float fy = a.y;
+        float ftype = a.z;
+        float strength = a.w;
+        float radius = b.x;
+        float rotation = b.y;
+        float life = b.z;
+        vec2 push = vec2(cos(b.w), sin(b.w)); // Shear and lane direction
 
         vec2 diff = pos - vec2(fx, fy);
         float dist = length(diff);
@@ -700,115 +1983,344 @@ vec2 getForceFieldEffect(vec2 pos) {
             totalForce -= dir * s * 2.0;
             vec2 tangent = vec2(-diff.y, diff.x) / dist;
             totalForce += tangent * s * 0.3;
-        } else {
+        } else if (ftype < 4.5) {
             // Turbulence
             float angle = snoise(pos * 0.1 + u_time * 0.01) * 6.28318;
             totalForce += vec2(cos(angle), sin(angle)) * s * 2.0;
+        } else if (ftype < 5.5) {
+            // Shear - the two halves slide opposite ways
+            totalForce += push * s * (diff.y < 0.0 ? -1.5 : 1.5);
+        } else if (ftype < 6.5) {
+            // Repulsor - source that gets much stronger near the center
+            totalForce += dir * s * 3.0 * (radius / (dist + 10.0));
+        } else {
+            // Lane - uniform stream across the field
+            totalForce += push * s * 2.0;
         }
     }
 
     return totalForce;
+}`;
+
+// Per-particle values the particle vertex shaders pass on for coloring.
+// Call setParticleVaryings() from main().
+const particleVaryingsGLSL = `uniform sampler2D u_flowImage;
+uniform vec4 u_imageRect;
+uniform sampler2D u_density;
+uniform vec2 u_densityExtent;
+uniform float u_densityScale;
+uniform sampler2D u_fluid;
+uniform vec2 u_resolution;
+
+out float v_speed;
+out float v_id;
+out float v_angle;
+out vec3 v_imageColor;
+out float v_density;
+out float v_dye;
+
+void setParticleVaryings(vec2 pos, vec2 vel, vec2 texCoord) {
+    v_speed = length(vel);
+    v_id = texCoord.x * 1000.0 + texCoord.y;
+    // Angle from velocity (-PI to PI, normalized to 0-1)
+    v_angle = (atan(vel.y, vel.x) + 3.14159265) / 6.28318530;
+    // Image color under the particle, for painting with the flow image
+    v_imageColor = textureLod(u_flowImage, (pos - u_imageRect.xy) / u_imageRect.zw, 0.0).rgb;
+    v_density = textureLod(u_density, pos / u_densityExtent, 0.0).r * u_densityScale;
+    v_dye = textureLod(u_fluid, pos / u_resolution, 0.0).z;
+}`;
+
+// Copies of the particles for symmetry: u_symmetry rotations about the center, each also
+// mirrored when u_symmetryMirror is set
+const symmetryGLSL = `uniform int u_symmetry;
+uniform bool u_symmetryMirror;
+uniform vec2 u_symmetryCenter; // In simulation pixels
+
+// Rotation (and mirror on odd copies) for copy 0 to u_symmetry * (mirror ? 2 : 1) - 1
+mat2 symmetryTransform(int copy) {
+    int rotation = u_symmetryMirror ? copy / 2 : copy;
+    float angle = 6.28318530718 * float(rotation) / float(u_symmetry);
+    mat2 transform = mat2(cos(angle), sin(angle), -sin(angle), cos(angle));
+    if (u_symmetryMirror && copy % 2 == 1) {
+        transform *= mat2(1.0, 0.0, 0.0, -1.0);
+    }
+    return transform;
+}`;
+
+// Particle color from the palettes and flow image, for the particle fragment shaders
+const particleColorGLSL = `in float v_speed;
+in float v_id;
+in float v_angle;
+in vec3 v_imageColor;
+in float v_density;
+in float v_dye;
+
+uniform sampler2D u_palette;      // One gradient row per palette (see flow-palettes.js)
+uniform vec2 u_paletteRows;       // Texture row of the current and next palette
+uniform ivec2 u_paletteSources;   // What drives each palette: 0=particle, 1=velocity, 2=direction, 3=charge, 4=density, 5=dye
+uniform float u_paletteBlend;     // Crossfade into the next palette (fractional color scheme)
+uniform float u_imageColorMix;    // Take color from the flow image (0 when no image is loaded)
+uniform float u_time;
+uniform float u_chargeRatio;
+
+// Position along the gradient for a palette source
+float paletteT(int source) {
+    if (source == 1) {
+        // Velocity: center around typical speed (~1.0), show variance
+        float baseline = 1.0;
+        float deviation = v_speed - baseline;
+        return clamp(0.5 + deviation * 0.4, 0.0, 1.0);
+    }
+    if (source == 2) {
+        // Direction: use movement angle
+        return v_angle;
+    }
+    if (source == 3) {
+        // Charge: derive charge from particle ID
+        return (fract(v_id * 0.7919) < u_chargeRatio) ? 1.0 : 0.0;
+    }
+    if (source == 4) {
+        // Density: average density lands mid-gradient
+        return v_density / (v_density + 1.0);
+    }
+    if (source == 5) {
+        // Dye: fluid dye under the particle, clear to saturated
+        return clamp(v_dye, 0.0, 1.0);
+    }
+    return fract(v_id * 0.1 + v_speed * 0.1);
 }
 
-// Get charge for a particle based on its texture coordinate
-float getCharge(vec2 texCoord) {
-    float id = texCoord.x * u_textureSize + texCoord.y * u_textureSize * u_textureSize;
-    return (fract(id * 0.7919) < u_chargeRatio) ? 1.0 : -1.0;
+vec3 paletteColor(float row, int source) {
+    float size = float(textureSize(u_palette, 0).x);
+    float t = paletteT(source);
+    // Sample texel centers so t=0 and t=1 hit the end stops exactly
+    return texture(u_palette, vec2((t * (size - 1.0) + 0.5) / size, row)).rgb;
 }
 
-// Calculate charge interaction force by sampling nearby particles
-vec2 getChargeInteraction(vec2 pos, vec2 texCoord) {
-    if (u_chargeInteraction < 0.001) return vec2(0.0);
+vec3 particleColor() {
+    vec3 color = paletteColor(u_paletteRows.x, u_paletteSources.x);
+    if (u_paletteBlend > 0.001) {
+        color = mix(color, paletteColor(u_paletteRows.y, u_paletteSources.y), u_paletteBlend);
+    }
+    return mix(color, v_imageColor, u_imageColorMix);
+}`;
 
-    float myCharge = getCharge(texCoord);
-    vec2 totalForce = vec2(0.0);
-    float interactionRadius = 100.0;
+const physicsVertexShader = `#version 300 es
+in vec2 a_position;
+out vec2 v_texCoord;
 
-    // Sample nearby particles using a spiral pattern
-    for (int i = 0; i < 16; i++) {
-        float angle = float(i) * 2.399 + u_time * 0.01; // Golden angle spiral
-        float r = (float(i) + 1.0) * 0.05;
-        vec2 offset = vec2(cos(angle), sin(angle)) * r;
-        vec2 sampleCoord = texCoord + offset;
+void main() {
+    v_texCoord = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
 
-        // Wrap sample coordinates
-        sampleCoord = fract(sampleCoord);
+const physicsFragmentShader = `#version 300 es
+precision highp float;
 
-        vec4 other = texture(u_particles, sampleCoord);
-        vec2 otherPos = other.xy;
-        float otherCharge = getCharge(sampleCoord);
+in vec2 v_texCoord;
+out vec4 fragColor;
 
-        vec2 diff = pos - otherPos;
-        float dist = length(diff);
+uniform sampler2D u_particles;
+uniform float u_time;
+uniform vec2 u_resolution;
+uniform float u_noiseScale;
+uniform float u_speed;
+uniform int u_noiseMode;
+uniform bool u_forcesOnly; // Current noise mode has no background flow (momentum physics)
+uniform float u_backgroundStrength;
+uniform float u_forceFieldStrength;
+uniform float u_brownianMotion;
+uniform float u_globalGravity;
+uniform float u_globalSwirl;
+uniform vec3 u_mouse;
+uniform float u_mouseStrength;
+uniform int u_mouseMode;
+uniform float u_respawnRate;
+uniform bool u_zonesEnabled;
+uniform float u_zonesStrength;
+uniform float u_chargeInteraction;
+uniform float u_chargeRatio;
+uniform float u_gravityInteraction;
+uniform bool u_interactionsEnabled;
+uniform sampler2D u_neighborGrid; // Binned particles (see binParticles)
+uniform float u_gridCellSize;
+uniform float u_interactionRadius;
+uniform float u_alignmentInteraction;
+uniform float u_cohesionInteraction;
+uniform sampler2D u_density;   // Particles per cell (see splatDensity)
+uniform vec2 u_densityExtent;  // Density grid size in simulation pixels
+uniform float u_densityScale;  // Counts to density, where 1.0 = average
+uniform float u_pressure;
+uniform float u_friction;
+uniform float u_textureSize;
+uniform float u_seed;
+uniform vec2 u_seedOffset;
+uniform sampler2D u_flowImage;
+uniform vec4 u_imageRect;      // Flow image placement in simulation pixels: x, y, width, height
+uniform int u_imageFlowMode;   // 0=luminance gradient, 1=edge tangents, 2=hue as angle
+uniform float u_imageFlowMix;  // 0 when no image is loaded
+uniform sampler2D u_fluid;     // Fluid velocity (xy, pixels per frame) and dye (z) - see stepFluid
+uniform bool u_sampleField;    // Output the flow at v_texCoord across the canvas instead (see sampleFlowField)
 
-        if (dist > 5.0 && dist < interactionRadius) {
-            float forceMag = 1.0 / (dist * dist + 10.0);
-            vec2 dir = normalize(diff);
-            // Like charges repel (positive force), unlike attract (negative)
-            float chargeProduct = myCharge * otherCharge;
-            totalForce += dir * forceMag * chargeProduct * 50.0;
-        }
-    }
+${simplexNoiseGLSL}
 
-    return totalForce * u_chargeInteraction;
+// Hash-based pseudo-random (better distribution, no grid artifacts)
+float random(vec2 st) {
+    vec3 p3 = fract(vec3(st.xyx) * 0.1031 + u_seed);
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
 }
 
-// Calculate gravity interaction force (all particles attract/repel each other)
-vec2 getGravityInteraction(vec2 pos, vec2 texCoord) {
-    if (abs(u_gravityInteraction) < 0.001) return vec2(0.0);
+// Scalar noise to a flow direction
+vec2 angleFlow(float noiseVal, vec2 pos) {
+    // Add position-based offset to prevent uniform drift when noise is near 0
+    float posOffset = (pos.x + pos.y) * 0.001;
+    float angle = (noiseVal + posOffset) * 12.566370614; // 4 * PI
+    return vec2(cos(angle), sin(angle));
+}
 
-    vec2 totalForce = vec2(0.0);
-    float interactionRadius = 120.0;
+// Background flow for fluid noise modes
+vec2 getFluidFlow(vec2 pos) {
+    return texture(u_fluid, pos / u_resolution).xy;
+}
 
-    // Sample nearby particles using a spiral pattern
-    for (int i = 0; i < 16; i++) {
-        float angle = float(i) * 2.399 + u_time * 0.01; // Golden angle spiral
-        float r = (float(i) + 1.0) * 0.05;
-        vec2 offset = vec2(cos(angle), sin(angle)) * r;
-        vec2 sampleCoord = fract(texCoord + offset);
+// Noise mode functions and getNoiseFlow(), generated from the registry in flow-noise-modes.js
+// @noise-modes
 
-        vec4 other = texture(u_particles, sampleCoord);
-        vec2 otherPos = other.xy;
+float imageLuminance(vec2 uv) {
+    // Sample a smoothed mip level so gradients follow shapes rather than pixel noise
+    return dot(textureLod(u_flowImage, uv, 2.0).rgb, vec3(0.299, 0.587, 0.114));
+}
 
-        vec2 diff = otherPos - pos; // Points toward other particle
-        float dist = length(diff);
+// Flow direction from the image (xy) and how much it should count there (z).
+// Flat or grey areas have no direction, so they fall back to the noise field.
+vec3 getImageFlow(vec2 pos) {
+    vec2 uv = (pos - u_imageRect.xy) / u_imageRect.zw;
+
+    if (u_imageFlowMode == 2) {
+        // Hue as angle, weighted by how colorful the pixel is
+        vec3 rgb = textureLod(u_flowImage, uv, 1.0).rgb;
+        float maxC = max(rgb.r, max(rgb.g, rgb.b));
+        float chroma = maxC - min(rgb.r, min(rgb.g, rgb.b));
+        float hue = 0.0;
+        if (chroma > 0.0) {
+            if (maxC == rgb.r) hue = mod((rgb.g - rgb.b) / chroma, 6.0);
+            else if (maxC == rgb.g) hue = (rgb.b - rgb.r) / chroma + 2.0;
+            else hue = (rgb.r - rgb.g) / chroma + 4.0;
+        }
+        float angle = hue / 6.0 * 6.28318530;
+        return vec3(cos(angle), sin(angle), clamp(chroma * 3.0, 0.0, 1.0));
+    }
+
+    vec2 texel = 4.0 / vec2(textureSize(u_flowImage, 0));
+    vec2 grad = vec2(
+        imageLuminance(uv + vec2(texel.x, 0.0)) - imageLuminance(uv - vec2(texel.x, 0.0)),
+        imageLuminance(uv + vec2(0.0, texel.y)) - imageLuminance(uv - vec2(0.0, texel.y))
+    );
+    float gradLength = length(grad);
+    if (gradLength < 0.0001) return vec3(0.0);
+    vec2 dir = grad / gradLength; // Uphill, dark to light
+    if (u_imageFlowMode == 1) {
+        dir = vec2(-dir.y, dir.x); // Along edges, like brush strokes
+    }
+    return vec3(dir, clamp(gradLength * 10.0, 0.0, 1.0));
+}
 
-        if (dist > 5.0 && dist < interactionRadius) {
-            float forceMag = 1.0 / (dist * dist + 10.0);
-            vec2 dir = normalize(diff);
-            // Positive = attract toward other particles, negative = repel
-            totalForce += dir * forceMag * 50.0;
+${forceFieldGLSL}
+
+// Get charge for a particle based on its texture coordinate
+float getCharge(vec2 texCoord) {
+    float id = texCoord.x * u_textureSize + texCoord.y * u_textureSize * u_textureSize;
+    return (fract(id * 0.7919) < u_chargeRatio) ? 1.0 : -1.0;
+}
+
+// Charge, gravity, alignment and cohesion from the particles binned into the 3x3 cells around pos.
+// Each neighbor's pull falls off linearly to zero at the interaction radius, and the totals are
+// averaged so strengths behave the same in sparse and crowded areas.
+vec2 getParticleInteraction(vec2 pos, vec2 vel, float myCharge) {
+    const int SLOTS = ${NEIGHBOR_GRID_SLOTS};
+    ivec2 cells = textureSize(u_neighborGrid, 0) / SLOTS;
+    ivec2 cell = clamp(ivec2(pos / u_gridCellSize), ivec2(0), cells - 1);
+
+    vec2 chargeForce = vec2(0.0);
+    vec2 gravityForce = vec2(0.0);
+    vec2 velocitySum = vec2(0.0);
+    vec2 positionSum = vec2(0.0);
+    float count = 0.0;
+
+    for (int dy = -1; dy <= 1; dy++) {
+        for (int dx = -1; dx <= 1; dx++) {
+            ivec2 c = cell + ivec2(dx, dy);
+            if (any(lessThan(c, ivec2(0))) || any(greaterThanEqual(c, cells))) continue;
+
+            for (int slot = 0; slot < SLOTS * SLOTS; slot++) {
+                vec4 other = texelFetch(u_neighborGrid, c * SLOTS + ivec2(slot % SLOTS, slot / SLOTS), 0);
+                // Slots fill in order, so the first empty one ends the cell
+                if (other.x == 0.0) break;
+
+                // x is stored as charge * (x + 1) - see gridVertexShader
+                float otherCharge = sign(other.x);
+                vec2 otherPos = vec2(abs(other.x) - 1.0, other.y);
+                vec2 diff = otherPos - pos; // Points toward other particle
+                float dist = length(diff);
+                // Zero distance is this particle's own entry
+                if (dist <= 0.0 || dist >= u_interactionRadius) continue;
+
+                vec2 dir = diff / dist;
+                float falloff = 1.0 - dist / u_interactionRadius;
+                // Like charges repel, unlike attract
+                chargeForce -= dir * falloff * myCharge * otherCharge;
+                // Positive = attract toward other particles, negative = repel
+                gravityForce += dir * falloff;
+                velocitySum += other.zw;
+                positionSum += otherPos;
+                count += 1.0;
+            }
         }
     }
 
-    return totalForce * u_gravityInteraction;
+    if (count == 0.0) return vec2(0.0);
+
+    vec2 force = (chargeForce * u_chargeInteraction + gravityForce * u_gravityInteraction) * 2.0 / count;
+    force += (velocitySum / count - vel) * u_alignmentInteraction * 0.5;
+    force += (positionSum / count - pos) / u_interactionRadius * u_cohesionInteraction;
+    return force;
+}
+
+// Pressure pushes particles down the density gradient - out of crowds and into voids
+vec2 getPressureForce(vec2 pos) {
+    vec2 texel = 1.0 / vec2(textureSize(u_density, 0));
+    vec2 uv = pos / u_densityExtent;
+    float left = texture(u_density, uv - vec2(texel.x, 0.0)).r;
+    float right = texture(u_density, uv + vec2(texel.x, 0.0)).r;
+    float down = texture(u_density, uv - vec2(0.0, texel.y)).r;
+    float up = texture(u_density, uv + vec2(0.0, texel.y)).r;
+    return -vec2(right - left, up - down) * 0.5 * u_densityScale * u_pressure;
 }
 
 void main() {
     vec4 particle = texture(u_particles, v_texCoord);
-    vec2 pos = particle.xy;
+    vec2 pos = u_sampleField ? v_texCoord * u_resolution : particle.xy;
     vec2 vel = particle.zw;
 
-    // Get noise-based flow direction
-    float noiseVal = getNoiseValue(pos, u_time);
-    vec2 flowDir;
-    if (u_noiseMode == 5) {
-        // Forces Only mode - no background flow
-        flowDir = vec2(0.0);
-    } else {
-        // Add position-based offset to prevent uniform drift when noise is near 0
-        float posOffset = (pos.x + pos.y) * 0.001;
-        float angle = (noiseVal + posOffset) * 12.566370614; // 4 * PI
-        flowDir = vec2(cos(angle), sin(angle)) * u_speed * u_backgroundStrength;
+    // Get noise-based flow direction (zero in Forces Only mode)
+    vec2 flowDir = getNoiseFlow(pos, u_time);
+    if (u_imageFlowMix > 0.0) {
+        vec3 imageFlow = getImageFlow(pos);
+        flowDir = mix(flowDir, imageFlow.xy, u_imageFlowMix * imageFlow.z);
     }
+    flowDir *= u_speed * u_backgroundStrength;
 
     // Add force field effects
     vec2 forceEffect = getForceFieldEffect(pos) * u_forceFieldStrength;
 
     // Add particle interactions
-    vec2 chargeForce = getChargeInteraction(pos, v_texCoord);
-    vec2 gravityForce = getGravityInteraction(pos, v_texCoord);
-    forceEffect += chargeForce + gravityForce;
+    if (u_interactionsEnabled) {
+        forceEffect += getParticleInteraction(pos, vel, getCharge(v_texCoord));
+    }
+    if (u_pressure > 0.001) {
+        forceEffect += getPressureForce(pos);
+    }
 
     // Add brownian motion - use independent seeds to avoid grid patterns
     vec2 brownian = vec2(
@@ -873,8 +2385,14 @@ void main() {
         }
     }
 
+    if (u_sampleField) {
+        // What the update below steers toward, or accelerates by in Forces Only mode
+        fragColor = vec4(u_forcesOnly ? forceEffect + globalForces : flowDir + forceEffect, 0.0, 1.0);
+        return;
+    }
+
     // Update velocity
-    if (u_noiseMode == 5) {
+    if (u_forcesOnly) {
         // Forces Only mode: use acceleration-based physics with configurable friction
         // This preserves momentum so particles can orbit with gravity
         vec2 acceleration = (forceEffect + mouseForce + globalForces + brownian) * 0.1;
@@ -912,180 +2430,37 @@ const renderVertexShader = `#version 300 es
 in vec2 a_texCoord;
 
 uniform sampler2D u_particles;
-uniform vec2 u_resolution;
+uniform vec4 u_view; // x, y, width, height of the visible region in simulation pixels
 uniform float u_particleSize;
 
-out float v_speed;
-out float v_id;
-out float v_angle;
+${particleVaryingsGLSL}
+${symmetryGLSL}
 
 void main() {
     vec4 particle = texture(u_particles, a_texCoord);
-    vec2 pos = particle.xy;
-    vec2 vel = particle.zw;
+    // Each instance is one symmetric copy
+    mat2 symmetry = symmetryTransform(gl_InstanceID);
+    vec2 pos = u_symmetryCenter + symmetry * (particle.xy - u_symmetryCenter);
+    vec2 vel = symmetry * particle.zw;
 
     // Convert to clip space
-    vec2 clipPos = (pos / u_resolution) * 2.0 - 1.0;
+    vec2 clipPos = ((pos - u_view.xy) / u_view.zw) * 2.0 - 1.0;
 
     gl_Position = vec4(clipPos, 0.0, 1.0);
     gl_PointSize = u_particleSize;
 
-    v_speed = length(vel);
-    v_id = a_texCoord.x * 1000.0 + a_texCoord.y;
-    // Angle from velocity (-PI to PI, normalized to 0-1)
-    v_angle = (atan(vel.y, vel.x) + 3.14159265) / 6.28318530;
+    // Colors come from where the particle really is
+    setParticleVaryings(particle.xy, vel, a_texCoord);
 }`;
 
 const renderFragmentShader = `#version 300 es
 precision highp float;
 
-in float v_speed;
-in float v_id;
-in float v_angle;
 out vec4 fragColor;
 
-uniform int u_colorScheme;
-uniform float u_time;
 uniform float u_opacity;
-uniform float u_chargeRatio;
 
-vec3 getColor(int scheme, float t) {
-    // Aurora
-    if (scheme == 0) {
-        vec3 c1 = vec3(0.0, 1.0, 0.53);
-        vec3 c2 = vec3(0.38, 0.94, 1.0);
-        vec3 c3 = vec3(1.0, 0.0, 1.0);
-        vec3 c4 = vec3(1.0, 0.0, 0.5);
-        if (t < 0.33) return mix(c1, c2, t * 3.0);
-        if (t < 0.66) return mix(c2, c3, (t - 0.33) * 3.0);
-        return mix(c3, c4, (t - 0.66) * 3.0);
-    }
-    // Sunset
-    if (scheme == 1) {
-        vec3 c1 = vec3(1.0, 0.42, 0.21);
-        vec3 c2 = vec3(0.97, 0.77, 0.62);
-        vec3 c3 = vec3(0.94, 0.94, 0.94);
-        if (t < 0.5) return mix(c1, c2, t * 2.0);
-        return mix(c2, c3, (t - 0.5) * 2.0);
-    }
-    // Ocean
-    if (scheme == 2) {
-        vec3 c1 = vec3(0.0, 0.47, 0.71);
-        vec3 c2 = vec3(0.0, 0.71, 0.85);
-        vec3 c3 = vec3(0.56, 0.88, 0.94);
-        if (t < 0.5) return mix(c1, c2, t * 2.0);
-        return mix(c2, c3, (t - 0.5) * 2.0);
-    }
-    // Fire
-    if (scheme == 3) {
-        vec3 c1 = vec3(1.0, 0.0, 0.0);
-        vec3 c2 = vec3(1.0, 0.33, 0.0);
-        vec3 c3 = vec3(1.0, 0.6, 0.0);
-        vec3 c4 = vec3(1.0, 0.8, 0.0);
-        if (t < 0.33) return mix(c1, c2, t * 3.0);
-        if (t < 0.66) return mix(c2, c3, (t - 0.33) * 3.0);
-        return mix(c3, c4, (t - 0.66) * 3.0);
-    }
-    // Neon
-    if (scheme == 4) {
-        vec3 c1 = vec3(1.0, 0.0, 1.0);
-        vec3 c2 = vec3(0.0, 1.0, 1.0);
-        vec3 c3 = vec3(0.0, 1.0, 0.0);
-        if (t < 0.5) return mix(c1, c2, t * 2.0);
-        return mix(c2, c3, (t - 0.5) * 2.0);
-    }
-    // Vapor
-    if (scheme == 5) {
-        vec3 c1 = vec3(1.0, 0.44, 0.81);
-        vec3 c2 = vec3(0.0, 0.81, 1.0);
-        vec3 c3 = vec3(0.02, 1.0, 0.63);
-        vec3 c4 = vec3(0.73, 0.4, 1.0);
-        if (t < 0.33) return mix(c1, c2, t * 3.0);
-        if (t < 0.66) return mix(c2, c3, (t - 0.33) * 3.0);
-        return mix(c3, c4, (t - 0.66) * 3.0);
-    }
-    // Forest
-    if (scheme == 6) {
-        vec3 c1 = vec3(0.13, 0.37, 0.13);
-        vec3 c2 = vec3(0.24, 0.55, 0.24);
-        vec3 c3 = vec3(0.56, 0.74, 0.22);
-        vec3 c4 = vec3(0.85, 0.65, 0.13);
-        if (t < 0.33) return mix(c1, c2, t * 3.0);
-        if (t < 0.66) return mix(c2, c3, (t - 0.33) * 3.0);
-        return mix(c3, c4, (t - 0.66) * 3.0);
-    }
-    // Cosmic
-    if (scheme == 7) {
-        vec3 c1 = vec3(0.05, 0.0, 0.2);
-        vec3 c2 = vec3(0.3, 0.0, 0.5);
-        vec3 c3 = vec3(0.9, 0.2, 0.5);
-        vec3 c4 = vec3(1.0, 0.8, 0.3);
-        if (t < 0.33) return mix(c1, c2, t * 3.0);
-        if (t < 0.66) return mix(c2, c3, (t - 0.33) * 3.0);
-        return mix(c3, c4, (t - 0.66) * 3.0);
-    }
-    // Candy
-    if (scheme == 8) {
-        vec3 c1 = vec3(1.0, 0.4, 0.7);
-        vec3 c2 = vec3(0.4, 0.8, 1.0);
-        vec3 c3 = vec3(1.0, 0.95, 0.5);
-        vec3 c4 = vec3(0.7, 1.0, 0.6);
-        if (t < 0.33) return mix(c1, c2, t * 3.0);
-        if (t < 0.66) return mix(c2, c3, (t - 0.33) * 3.0);
-        return mix(c3, c4, (t - 0.66) * 3.0);
-    }
-    // Monochrome
-    if (scheme == 9) {
-        return vec3(t * 0.7 + 0.3);
-    }
-    // Rainbow
-    if (scheme == 10) {
-        float h = t * 6.0;
-        float x = 1.0 - abs(mod(h, 2.0) - 1.0);
-        if (h < 1.0) return vec3(1.0, x, 0.0);
-        if (h < 2.0) return vec3(x, 1.0, 0.0);
-        if (h < 3.0) return vec3(0.0, 1.0, x);
-        if (h < 4.0) return vec3(0.0, x, 1.0);
-        if (h < 5.0) return vec3(x, 0.0, 1.0);
-        return vec3(1.0, 0.0, x);
-    }
-    // Velocity (blue=slow -> cyan -> green -> yellow -> red=fast)
-    if (scheme == 11) {
-        vec3 c1 = vec3(0.0, 0.2, 0.8);   // Deep blue (slow)
-        vec3 c2 = vec3(0.0, 0.8, 1.0);   // Cyan
-        vec3 c3 = vec3(0.0, 1.0, 0.4);   // Green
-        vec3 c4 = vec3(1.0, 0.9, 0.0);   // Yellow
-        vec3 c5 = vec3(1.0, 0.2, 0.0);   // Red (fast)
-        if (t < 0.25) return mix(c1, c2, t * 4.0);
-        if (t < 0.5) return mix(c2, c3, (t - 0.25) * 4.0);
-        if (t < 0.75) return mix(c3, c4, (t - 0.5) * 4.0);
-        return mix(c4, c5, (t - 0.75) * 4.0);
-    }
-    // Direction (hue wheel based on movement angle)
-    if (scheme == 12) {
-        float h = t * 6.0;
-        float x = 1.0 - abs(mod(h, 2.0) - 1.0);
-        if (h < 1.0) return vec3(1.0, x, 0.0);
-        if (h < 2.0) return vec3(x, 1.0, 0.0);
-        if (h < 3.0) return vec3(0.0, 1.0, x);
-        if (h < 4.0) return vec3(0.0, x, 1.0);
-        if (h < 5.0) return vec3(x, 0.0, 1.0);
-        return vec3(1.0, 0.0, x);
-    }
-    // Charge (positive = red/orange, negative = blue/cyan)
-    if (scheme == 13) {
-        if (t > 0.5) {
-            // Positive charge
-            return mix(vec3(1.0, 0.5, 0.0), vec3(1.0, 0.2, 0.2), (t - 0.5) * 2.0);
-        } else {
-            // Negative charge
-            return mix(vec3(0.2, 0.2, 1.0), vec3(0.0, 0.8, 1.0), t * 2.0);
-        }
-    }
-
-    // Default white
-    return vec3(1.0);
-}
+${particleColorGLSL}
 
 void main() {
     // Circular point
@@ -1093,29 +2468,83 @@ void main() {
     float dist = length(coord);
     if (dist > 0.5) discard;
 
-    // Color based on speed and particle ID (or special modes for velocity/direction)
-    float t;
-    if (u_colorScheme == 11) {
-        // Velocity mode: center around typical speed (~1.0), show variance
-        float baseline = 1.0;
-        float deviation = v_speed - baseline;
-        t = clamp(0.5 + deviation * 0.4, 0.0, 1.0);
-    } else if (u_colorScheme == 12) {
-        // Direction mode: use movement angle
-        t = v_angle;
-    } else if (u_colorScheme == 13) {
-        // Charge mode: derive charge from particle ID
-        float charge = (fract(v_id * 0.7919) < u_chargeRatio) ? 1.0 : 0.0;
-        t = charge;
-    } else {
-        t = fract(v_id * 0.1 + v_speed * 0.1);
-    }
-    vec3 color = getColor(u_colorScheme, t);
-
     // Soft edges - use configurable opacity
     float alpha = smoothstep(0.5, 0.2, dist) * u_opacity;
 
-    fragColor = vec4(color, alpha);
+    fragColor = vec4(particleColor(), alpha);
+}`;
+
+// Line mode: one instanced quad per particle covering the segment it moved along this frame,
+// from pos - vel to pos, padded for round caps and anti-aliasing. Works in target pixels.
+// Each instance draws 6 vertices per symmetric copy.
+const lineVertexShader = `#version 300 es
+in vec2 a_texCoord; // Per instance
+
+uniform sampler2D u_particles;
+uniform vec4 u_view;
+uniform float u_pointScale; // Target pixels per simulation pixel
+uniform float u_lineWidth;  // In target pixels
+
+${particleVaryingsGLSL}
+${symmetryGLSL}
+
+out vec2 v_segment;      // Position along and across the segment, in pixels from the tail
+out float v_segmentLength;
+
+const vec2 CORNERS[6] = vec2[6](
+    vec2(0.0, -1.0), vec2(1.0, -1.0), vec2(1.0, 1.0),
+    vec2(0.0, -1.0), vec2(1.0, 1.0), vec2(0.0, 1.0)
+);
+
+void main() {
+    vec4 particle = texture(u_particles, a_texCoord);
+    mat2 symmetry = symmetryTransform(gl_VertexID / 6);
+    vec2 pos = u_symmetryCenter + symmetry * (particle.xy - u_symmetryCenter);
+    vec2 vel = symmetry * particle.zw;
+
+    vec2 head = (pos - u_view.xy) * u_pointScale;
+    vec2 tail = (pos - vel - u_view.xy) * u_pointScale;
+    float len = length(head - tail);
+    vec2 dir = len > 0.0001 ? (head - tail) / len : vec2(1.0, 0.0);
+    vec2 normal = vec2(-dir.y, dir.x);
+    float extent = max(u_lineWidth, 1.0) * 0.5 + 1.0;
+
+    vec2 corner = CORNERS[gl_VertexID % 6];
+    float along = corner.x * len + (corner.x * 2.0 - 1.0) * extent;
+    float across = corner.y * extent;
+    vec2 point = tail + dir * along + normal * across;
+
+    gl_Position = vec4(point / (u_view.zw * u_pointScale) * 2.0 - 1.0, 0.0, 1.0);
+    v_segment = vec2(along, across);
+    v_segmentLength = len;
+
+    setParticleVaryings(particle.xy, vel, a_texCoord);
+}`;
+
+const lineFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 v_segment;
+in float v_segmentLength;
+out vec4 fragColor;
+
+uniform float u_opacity;
+uniform float u_lineWidth;
+uniform float u_lineTaper; // 0 = even width, 1 = narrows to a point at the tail
+
+${particleColorGLSL}
+
+void main() {
+    float t = v_segmentLength > 0.0 ? clamp(v_segment.x / v_segmentLength, 0.0, 1.0) : 1.0;
+    float width = u_lineWidth * mix(1.0 - u_lineTaper, 1.0, t);
+    // Lines thinner than a pixel are drawn a pixel wide and fainter
+    float drawn = max(width, 1.0);
+    // Distance to the segment, so the ends are round
+    float dist = length(vec2(v_segment.x - clamp(v_segment.x, 0.0, v_segmentLength), v_segment.y));
+    float alpha = clamp(drawn * 0.5 + 0.5 - dist, 0.0, 1.0) * (width / drawn) * u_opacity;
+    if (alpha <= 0.0) discard;
+
+    fragColor = vec4(particleColor(), alpha);
 }`;
 
 const trailVertexShader = `#version 300 es
@@ -1140,6 +2569,187 @@ void main() {
     fragColor = vec4(0.0, 0.0, 0.0, u_fade);
 }`;
 
+// Neighbor grid binning - one point per particle covering its cell's block of slots.
+// Charge rides in the sign of x (offset by 1 so it survives x = 0), which also leaves
+// 0.0 free to mark an empty slot.
+const gridVertexShader = `#version 300 es
+in vec2 a_texCoord;
+
+uniform sampler2D u_particles;
+uniform vec2 u_gridSize;      // Cells across and down
+uniform float u_gridCellSize; // Cell size in pixels
+uniform float u_textureSize;
+uniform float u_chargeRatio;
+
+flat out vec4 v_particle;
+
+void main() {
+    vec4 particle = texture(u_particles, a_texCoord);
+    vec2 cell = clamp(floor(particle.xy / u_gridCellSize), vec2(0.0), u_gridSize - 1.0);
+    gl_Position = vec4((cell + 0.5) / u_gridSize * 2.0 - 1.0, 0.0, 1.0);
+    gl_PointSize = ${NEIGHBOR_GRID_SLOTS}.0;
+
+    // Same charge as getCharge() in the physics shader
+    float id = a_texCoord.x * u_textureSize + a_texCoord.y * u_textureSize * u_textureSize;
+    float charge = (fract(id * 0.7919) < u_chargeRatio) ? 1.0 : -1.0;
+    v_particle = vec4(charge * (max(particle.x, 0.0) + 1.0), particle.yzw);
+}`;
+
+const gridFragmentShader = `#version 300 es
+precision highp float;
+
+flat in vec4 v_particle;
+out vec4 fragColor;
+
+void main() {
+    fragColor = v_particle;
+}`;
+
+// Fluid advection - carry velocity and dye back along the flow, diffuse, then add forces
+const fluidAdvectFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_velocity;
+uniform vec2 u_resolution;
+uniform float u_time;
+uniform float u_viscosity;   // 0-1 blend toward the neighbor average each frame
+uniform float u_dissipation; // Fraction of velocity and dye lost each frame
+uniform float u_forceScale;
+uniform vec3 u_mouse;        // x, y, radius
+uniform vec2 u_mouseDrag;    // Mouse movement this frame in pixels
+uniform float u_mouseStrength;
+
+${simplexNoiseGLSL}
+
+${forceFieldGLSL}
+
+void main() {
+    vec2 texel = 1.0 / vec2(textureSize(u_velocity, 0));
+    vec2 pos = v_texCoord * u_resolution;
+
+    // Semi-Lagrangian advection: take whatever was one step upstream
+    vec2 back = v_texCoord - texture(u_velocity, v_texCoord).xy / u_resolution;
+    vec4 state = texture(u_velocity, back);
+    vec4 neighbors = (texture(u_velocity, back + vec2(texel.x, 0.0)) +
+                      texture(u_velocity, back - vec2(texel.x, 0.0)) +
+                      texture(u_velocity, back + vec2(0.0, texel.y)) +
+                      texture(u_velocity, back - vec2(0.0, texel.y))) * 0.25;
+    state = mix(state, neighbors, u_viscosity);
+    state.xyz *= 1.0 - u_dissipation;
+
+    // Force fields stir the fluid and leave dye where they push hardest
+    vec2 force = getForceFieldEffect(pos) * u_forceScale;
+    state.xy += force * 0.2;
+    state.z += length(force) * 0.05;
+
+    // Mouse drags push the fluid along with a soft brush
+    vec2 toMouse = pos - u_mouse.xy;
+    float brush = exp(-dot(toMouse, toMouse) / (u_mouse.z * u_mouse.z * 0.1));
+    state.xy += u_mouseDrag * brush * u_mouseStrength * 0.3;
+    state.z += length(u_mouseDrag) * brush * u_mouseStrength * 0.05;
+
+    float speed = length(state.xy);
+    if (speed > ${FLUID_MAX_SPEED}.0) state.xy *= ${FLUID_MAX_SPEED}.0 / speed;
+    state.z = clamp(state.z, 0.0, 1.0);
+    fragColor = state;
+}`;
+
+// Velocity divergence in grid units
+const fluidDivergenceFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_velocity;
+
+void main() {
+    vec2 texel = 1.0 / vec2(textureSize(u_velocity, 0));
+    float right = texture(u_velocity, v_texCoord + vec2(texel.x, 0.0)).x;
+    float left = texture(u_velocity, v_texCoord - vec2(texel.x, 0.0)).x;
+    float up = texture(u_velocity, v_texCoord + vec2(0.0, texel.y)).y;
+    float down = texture(u_velocity, v_texCoord - vec2(0.0, texel.y)).y;
+    fragColor = vec4(0.5 * (right - left + up - down), 0.0, 0.0, 1.0);
+}`;
+
+// One Jacobi iteration of the pressure Poisson equation
+const fluidPressureFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_pressure;
+uniform sampler2D u_divergence;
+
+void main() {
+    vec2 texel = 1.0 / vec2(textureSize(u_pressure, 0));
+    float sum = texture(u_pressure, v_texCoord + vec2(texel.x, 0.0)).r +
+                texture(u_pressure, v_texCoord - vec2(texel.x, 0.0)).r +
+                texture(u_pressure, v_texCoord + vec2(0.0, texel.y)).r +
+                texture(u_pressure, v_texCoord - vec2(0.0, texel.y)).r;
+    fragColor = vec4((sum - texture(u_divergence, v_texCoord).r) * 0.25, 0.0, 0.0, 1.0);
+}`;
+
+// Subtract the pressure gradient, leaving divergence-free velocity (dye is untouched)
+const fluidProjectFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_velocity;
+uniform sampler2D u_pressure;
+
+void main() {
+    vec2 texel = 1.0 / vec2(textureSize(u_pressure, 0));
+    float right = texture(u_pressure, v_texCoord + vec2(texel.x, 0.0)).r;
+    float left = texture(u_pressure, v_texCoord - vec2(texel.x, 0.0)).r;
+    float up = texture(u_pressure, v_texCoord + vec2(0.0, texel.y)).r;
+    float down = texture(u_pressure, v_texCoord - vec2(0.0, texel.y)).r;
+    vec4 state = texture(u_velocity, v_texCoord);
+    state.xy -= 0.5 * vec2(right - left, up - down);
+    fragColor = state;
+}`;
+
+// Density splat - one point per particle into its density cell, summed by additive blending
+const densityVertexShader = `#version 300 es
+in vec2 a_texCoord;
+
+uniform sampler2D u_particles;
+uniform vec2 u_densityExtent;
+
+void main() {
+    vec2 pos = texture(u_particles, a_texCoord).xy;
+    gl_Position = vec4(pos / u_densityExtent * 2.0 - 1.0, 0.0, 1.0);
+    gl_PointSize = 1.0;
+}`;
+
+const densityFragmentShader = `#version 300 es
+precision highp float;
+
+out vec4 fragColor;
+
+void main() {
+    fragColor = vec4(1.0); // One count per particle
+}`;
+
+// Stencil numbering for the grid slots - only the texels of slot u_slot pass
+const gridSlotFragmentShader = `#version 300 es
+precision highp float;
+
+uniform int u_slot;
+out vec4 fragColor;
+
+void main() {
+    ivec2 p = ivec2(gl_FragCoord.xy) % ${NEIGHBOR_GRID_SLOTS};
+    if (p.y * ${NEIGHBOR_GRID_SLOTS} + p.x != u_slot) discard;
+    fragColor = vec4(0.0);
+}`;
+
 const copyVertexShader = `#version 300 es
 in vec2 a_position;
 out vec2 v_texCoord;
@@ -1161,17 +2771,115 @@ void main() {
     fragColor = texture(u_texture, v_texCoord);
 }`;
 
+// Final image: bloom added, exposure applied, then tone mapped (config.toneMapping)
+const compositeFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_scene;
+uniform sampler2D u_bloom;
+uniform float u_bloomIntensity;
+uniform float u_exposure;
+uniform int u_toneMapping; // Index into TONE_MAPPINGS
+
+// ACES filmic curve fit (Krzysztof Narkowicz)
+vec3 acesFilm(vec3 x) {
+    return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+}
+
+// Uncharted 2 curve (John Hable)
+vec3 hable(vec3 x) {
+    return ((x * (0.15 * x + 0.05) + 0.004) / (x * (0.15 * x + 0.5) + 0.06)) - 0.0667;
+}
+
+void main() {
+    vec3 color = texture(u_scene, v_texCoord).rgb;
+    color += texture(u_bloom, v_texCoord).rgb * u_bloomIntensity;
+    color *= u_exposure;
+
+    if (u_toneMapping == 1) {
+        color = color / (1.0 + color);
+    } else if (u_toneMapping == 2) {
+        color = acesFilm(color);
+    } else if (u_toneMapping == 3) {
+        color = hable(color * 2.0) / hable(vec3(11.2));
+    }
+    fragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+}`;
+
+// Bloom bright pass - keeps what's above the threshold, fading in just past it
+const bloomPrefilterFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_texture;
+uniform float u_threshold;
+
+void main() {
+    vec3 color = texture(u_texture, v_texCoord).rgb;
+    float brightness = max(color.r, max(color.g, color.b));
+    float contribution = max(brightness - u_threshold, 0.0) / max(brightness, 0.0001);
+    fragColor = vec4(color * contribution, 1.0);
+}`;
+
+// Bloom downsample - four bilinear taps straddling the source texels, a 4x4 box overall
+const bloomDownsampleFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_texture;
+
+void main() {
+    vec2 texel = 1.0 / vec2(textureSize(u_texture, 0));
+    vec3 color = texture(u_texture, v_texCoord + texel * vec2(-1.0, -1.0)).rgb +
+                 texture(u_texture, v_texCoord + texel * vec2(1.0, -1.0)).rgb +
+                 texture(u_texture, v_texCoord + texel * vec2(-1.0, 1.0)).rgb +
+                 texture(u_texture, v_texCoord + texel * vec2(1.0, 1.0)).rgb;
+    fragColor = vec4(color * 0.25, 1.0);
+}`;
+
+// Bloom upsample - 3x3 tent filter over the smaller level
+const bloomUpsampleFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 v_texCoord;
+out vec4 fragColor;
+
+uniform sampler2D u_texture;
+
+void main() {
+    vec2 texel = 1.0 / vec2(textureSize(u_texture, 0));
+    vec3 color = texture(u_texture, v_texCoord).rgb * 4.0;
+    color += (texture(u_texture, v_texCoord + vec2(texel.x, 0.0)).rgb +
+              texture(u_texture, v_texCoord - vec2(texel.x, 0.0)).rgb +
+              texture(u_texture, v_texCoord + vec2(0.0, texel.y)).rgb +
+              texture(u_texture, v_texCoord - vec2(0.0, texel.y)).rgb) * 2.0;
+    color += texture(u_texture, v_texCoord + texel).rgb +
+             texture(u_texture, v_texCoord - texel).rgb +
+             texture(u_texture, v_texCoord + vec2(texel.x, -texel.y)).rgb +
+             texture(u_texture, v_texCoord + vec2(-texel.x, texel.y)).rgb;
+    fragColor = vec4(color / 16.0, 1.0);
+}`;
+
 // ============ INITIALIZATION ============
 
 let flowFieldsGL;
 
-function initWebGL() {
+// history is the page's undo stack (see flow-history.js), handed on to each new engine
+function initWebGL(history) {
     const canvas = document.getElementById('canvas');
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
 
     try {
         flowFieldsGL = new FlowFieldsGL(canvas);
+        flowFieldsGL.history = history;
         flowFieldsGL.animate();
 
         // Update info
@@ -1191,15 +2899,24 @@ function getConfig() {
 
 function setConfig(key, value) {
     if (flowFieldsGL) {
+        const previous = flowFieldsGL.config[key];
         flowFieldsGL.config[key] = value;
+        if (previous !== value && flowFieldsGL.history) {
+            flowFieldsGL.history.record({ config: { [key]: previous } }, { config: { [key]: value } }, 'config.' + key);
+        }
     }
 }
 
 function reinitWithParticleCount(count) {
     if (!flowFieldsGL) return;
 
-    // Save current config with new particle count
+    // Save current config with new particle count, and the rest of the scene
     const savedConfig = { ...flowFieldsGL.config };
+    const { config, ...scene } = flowFieldsGL.getScene();
+    const timelinePlaying = flowFieldsGL.timelinePlaying;
+    const palettes = flowFieldsGL.palettes;
+    const flowImage = flowFieldsGL.flowImage;
+    const history = flowFieldsGL.history;
     savedConfig.particleCount = count;
     savedConfig.time = 0;  // Reset time
 
@@ -1209,6 +2926,12 @@ function reinitWithParticleCount(count) {
     // Reinitialize with saved config (including new particle count)
     const canvas = document.getElementById('canvas');
     flowFieldsGL = new FlowFieldsGL(canvas, savedConfig);
+    flowFieldsGL.history = history;
+    flowFieldsGL.palettes = palettes;
+    flowFieldsGL.updatePaletteTexture();
+    flowFieldsGL.setFlowImage(flowImage);
+    flowFieldsGL.applyScene(scene);
+    flowFieldsGL.timelinePlaying = timelinePlaying;
 
     // Restart
     flowFieldsGL.animate();
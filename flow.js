@@ -4,416 +4,231 @@
 const canvas = document.getElementById('canvas');
 const ctx = canvas.getContext('2d');
 
-// Configuration
-let config = {
-    particleCount: 5000,
-    noiseScale: 0.003,
-    speed: 2,
-    fadeAmount: 0.03,
-    lineWidth: 0.5,
-    colorScheme: 0,
-    // New options
-    noiseMode: 1, // 0=classic, 1=turbulent, 2=ridged, 3=billow, 4=warp, 5=forces only
-    backgroundStrength: 1.0,
-    forceFieldStrength: 1.0,
-    brownianMotion: 1,
-    spawnRate: 0.008,
-    // Even more options!
-    velocityColor: false, // Color based on speed
-    trailLength: 1, // 1=normal, higher=longer trails (affects fade)
-    mouseMode: 'vortex', // 'vortex', 'attract', 'repel'
-    symmetry: 1, // 1=none, 2=bilateral, 4=quad, 8=octagonal
-    globalGravity: 0, // Downward pull
-    // Particle interactions
-    particleInteraction: 'zones', // 'none', 'attract', 'repel', 'align', 'zones'
-    interactionStrength: 1.0,
-    interactionRadius: 50,
-    // Force field movement
-    fieldDriftSpeed: 0.5, // Max drift speed for force fields
-    // Particle respawn
-    respawnRate: 0.005 // Rate at which particles respawn at random positions
-};
-
-// Color schemes - each is an array of colors for gradient
-const colorSchemes = [
-    // Aurora
-    ['#00ff87', '#60efff', '#ff00ff', '#ff0080'],
-    // Sunset
-    ['#ff6b35', '#f7c59f', '#efefef', '#2e294e'],
-    // Ocean
-    ['#0077b6', '#00b4d8', '#90e0ef', '#caf0f8'],
-    // Forest
-    ['#2d6a4f', '#40916c', '#52b788', '#95d5b2'],
-    // Fire
-    ['#ff0000', '#ff5500', '#ff9900', '#ffcc00'],
-    // Neon
-    ['#ff00ff', '#00ffff', '#ff00aa', '#00ff00'],
-    // Monochrome
-    ['#ffffff', '#cccccc', '#999999', '#666666'],
-    // Vapor
-    ['#ff71ce', '#01cdfe', '#05ffa1', '#b967ff']
-];
-
-let particles = [];
-let time = 0;
-let paused = false;
-let animationId = null;
+// Physics lives in flow-sim.js; this file draws it and wires up the page.
+// config and mouse are the simulation's own objects, so the settings panel can edit them directly.
+const sim = new FlowSimulation(window.innerWidth, window.innerHeight);
+const config = sim.config;
+const mouse = sim.mouse;
 
-// Spatial grid for particle interactions (efficient neighbor lookup)
-let spatialGrid = {};
-const GRID_CELL_SIZE = 40;
+const noiseModeNames = NOISE_MODES.map(mode => mode.name);
 
-function getSpatialKey(x, y) {
-    const gx = Math.floor(x / GRID_CELL_SIZE);
-    const gy = Math.floor(y / GRID_CELL_SIZE);
-    return `${gx},${gy}`;
-}
-
-function buildSpatialGrid() {
-    spatialGrid = {};
-    for (const particle of particles) {
-        const key = getSpatialKey(particle.x, particle.y);
-        if (!spatialGrid[key]) spatialGrid[key] = [];
-        spatialGrid[key].push(particle);
-    }
-}
+// Palettes expanded into tables of CSS colors so drawing doesn't sample a gradient per particle.
+// Filled in as needed, since scenes can add custom palettes to sim.palettes.
+const paletteColors = [];
 
-function getNearbyParticles(x, y, radius) {
-    const nearby = [];
-    const cellRadius = Math.ceil(radius / GRID_CELL_SIZE);
-    const gx = Math.floor(x / GRID_CELL_SIZE);
-    const gy = Math.floor(y / GRID_CELL_SIZE);
-
-    for (let dx = -cellRadius; dx <= cellRadius; dx++) {
-        for (let dy = -cellRadius; dy <= cellRadius; dy++) {
-            const key = `${gx + dx},${gy + dy}`;
-            if (spatialGrid[key]) {
-                nearby.push(...spatialGrid[key]);
-            }
-        }
+function getPaletteColors(index) {
+    if (!paletteColors[index]) {
+        paletteColors[index] = buildPaletteCSS(sim.palettes[index]);
     }
-    return nearby;
+    return paletteColors[index];
 }
 
-// Mouse interaction
-let mouse = {
-    x: null,
-    y: null,
-    radius: 150,
-    active: false
-};
-
-// Force fields - sinks, sources, and vortexes
-let forceFields = [];
+let paused = false;
+let animationId = null;
 let showForceFields = true;
 
-class ForceField {
-    constructor(type = null) {
-        this.x = Math.random() * canvas.width;
-        this.y = Math.random() * canvas.height;
-        // Randomized drift velocity based on config
-        const speedMultiplier = 0.5 + Math.random() * 1.5; // 0.5x to 2x variation
-        this.vx = (Math.random() - 0.5) * config.fieldDriftSpeed * speedMultiplier;
-        this.vy = (Math.random() - 0.5) * config.fieldDriftSpeed * speedMultiplier;
-        const allTypes = ['sink', 'source', 'vortex', 'vortex', 'gravity', 'shear', 'repulsor', 'turbulence', 'lane'];
-        this.type = type || allTypes[Math.floor(Math.random() * allTypes.length)];
-        this.strength = 50 + Math.random() * 100;
-        this.radius = 80 + Math.random() * 120;
-        this.rotation = this.type === 'vortex' ? (Math.random() > 0.5 ? 1 : -1) : 0;
-        this.life = 500 + Math.random() * 1000;
-        this.maxLife = this.life;
-        this.pulsePhase = Math.random() * Math.PI * 2;
-        // Extra properties for special types
-        this.shearAngle = Math.random() * Math.PI * 2; // Direction of shear
-        this.laneAngle = Math.random() * Math.PI * 2; // Direction of lane flow
-        this.turbulenceSeed = Math.random() * 1000;
-    }
-
-    update() {
-        // Drift slowly
-        this.x += this.vx;
-        this.y += this.vy;
-
-        // Bounce off edges
-        if (this.x < 0 || this.x > canvas.width) this.vx *= -1;
-        if (this.y < 0 || this.y > canvas.height) this.vy *= -1;
-
-        // Keep in bounds
-        this.x = Math.max(0, Math.min(canvas.width, this.x));
-        this.y = Math.max(0, Math.min(canvas.height, this.y));
-
-        this.life--;
-        this.pulsePhase += 0.05;
-    }
-
-    getForce(px, py) {
-        const dx = px - this.x;
-        const dy = py - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist > this.radius || dist < 5) return { fx: 0, fy: 0 };
-
-        // Pulsing strength
-        const pulse = 1 + Math.sin(this.pulsePhase) * 0.3;
-        const falloff = 1 - (dist / this.radius);
-        const strength = (this.strength / 100) * falloff * pulse;
-
-        // Fade in/out
-        let lifeFactor = 1;
-        if (this.life < 100) lifeFactor = this.life / 100;
-        if (this.life > this.maxLife - 100) lifeFactor = (this.maxLife - this.life) / 100;
-
-        const finalStrength = strength * lifeFactor;
-
-        switch (this.type) {
-            case 'sink': // Pull particles in
-                return {
-                    fx: -(dx / dist) * finalStrength,
-                    fy: -(dy / dist) * finalStrength
-                };
-            case 'source': // Push particles out
-                return {
-                    fx: (dx / dist) * finalStrength,
-                    fy: (dy / dist) * finalStrength
-                };
-            case 'vortex': // Swirl particles
-                const perpX = -dy / dist;
-                const perpY = dx / dist;
-                return {
-                    fx: perpX * finalStrength * this.rotation,
-                    fy: perpY * finalStrength * this.rotation
-                };
-            case 'gravity': // Strong attractor with orbital tendency
-                // Combine inward pull with slight tangential push for orbits
-                const gravityStrength = finalStrength * 2;
-                const inwardX = -(dx / dist) * gravityStrength;
-                const inwardY = -(dy / dist) * gravityStrength;
-                const tangentX = (-dy / dist) * gravityStrength * 0.3;
-                const tangentY = (dx / dist) * gravityStrength * 0.3;
-                return {
-                    fx: inwardX + tangentX,
-                    fy: inwardY + tangentY
-                };
-            case 'shear': // Horizontal shearing - particles slide sideways based on y distance
-                const shearDir = Math.sign(dy) || 1;
-                const shearX = Math.cos(this.shearAngle) * finalStrength * shearDir * 1.5;
-                const shearY = Math.sin(this.shearAngle) * finalStrength * shearDir * 1.5;
-                return { fx: shearX, fy: shearY };
-            case 'repulsor': // Strong inverse-square repulsion
-                const repelStrength = finalStrength * 3 * (this.radius / (dist + 10));
-                return {
-                    fx: (dx / dist) * repelStrength,
-                    fy: (dy / dist) * repelStrength
-                };
-            case 'turbulence': // Local random jitter zone
-                const turbAngle = noise.noise2D(px * 0.1 + this.turbulenceSeed, py * 0.1 + time * 0.01) * Math.PI * 2;
-                const turbStrength = finalStrength * 2;
-                return {
-                    fx: Math.cos(turbAngle) * turbStrength,
-                    fy: Math.sin(turbAngle) * turbStrength
-                };
-            case 'lane': // Parallel flow streams
-                const laneX = Math.cos(this.laneAngle) * finalStrength * 2;
-                const laneY = Math.sin(this.laneAngle) * finalStrength * 2;
-                return { fx: laneX, fy: laneY };
-            default:
-                return { fx: 0, fy: 0 };
-        }
-    }
-
-    draw() {
-        if (!showForceFields) return;
-
-        const alpha = Math.min(1, this.life / 100, (this.maxLife - this.life) / 100) * 0.15;
-        const pulse = 1 + Math.sin(this.pulsePhase) * 0.2;
-
-        ctx.save();
-        ctx.globalAlpha = alpha;
+// Everything is drawn in simulation coordinates, flipped so y points up like the WebGL version
+function setSimulationTransform() {
+    ctx.setTransform(1, 0, 0, -1, 0, canvas.height);
+}
 
-        // Draw based on type
-        switch (this.type) {
-            case 'sink':
-                // Concentric circles pointing inward
-                ctx.strokeStyle = '#ff4444';
-                for (let r = this.radius * pulse; r > 10; r -= 20) {
-                    ctx.beginPath();
-                    ctx.arc(this.x, this.y, r, 0, Math.PI * 2);
-                    ctx.stroke();
-                }
-                // Center dot
-                ctx.fillStyle = '#ff4444';
+function drawForceField(field) {
+    if (!showForceFields) return;
+
+    const type = FORCE_TYPES[field.type];
+    const alpha = Math.min(1, field.life / 100) * 0.15;
+    const phase = config.time * 0.05 + field.strength; // Strength staggers the pulses
+    const pulse = 1 + Math.sin(phase) * 0.2;
+    const x = field.x;
+    const y = field.y;
+    const radius = field.radius;
+    const angle = field.angle || 0;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+
+    // Draw based on type
+    switch (type && type.id) {
+        case 'sink':
+            // Concentric circles pointing inward
+            ctx.strokeStyle = '#ff4444';
+            for (let r = radius * pulse; r > 10; r -= 20) {
                 ctx.beginPath();
-                ctx.arc(this.x, this.y, 5, 0, Math.PI * 2);
-                ctx.fill();
-                break;
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            // Center dot
+            ctx.fillStyle = '#ff4444';
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, Math.PI * 2);
+            ctx.fill();
+            break;
 
-            case 'source':
-                // Radiating lines
-                ctx.strokeStyle = '#44ff44';
+        case 'source':
+            // Radiating lines
+            ctx.strokeStyle = '#44ff44';
+            ctx.beginPath();
+            ctx.arc(x, y, radius * pulse, 0, Math.PI * 2);
+            ctx.stroke();
+            for (let i = 0; i < 8; i++) {
+                const a = (i / 8) * Math.PI * 2;
                 ctx.beginPath();
-                ctx.arc(this.x, this.y, this.radius * pulse, 0, Math.PI * 2);
+                ctx.moveTo(x + Math.cos(a) * 10, y + Math.sin(a) * 10);
+                ctx.lineTo(x + Math.cos(a) * radius * pulse * 0.5, y + Math.sin(a) * radius * pulse * 0.5);
                 ctx.stroke();
-                for (let i = 0; i < 8; i++) {
-                    const angle = (i / 8) * Math.PI * 2;
-                    ctx.beginPath();
-                    ctx.moveTo(this.x + Math.cos(angle) * 10, this.y + Math.sin(angle) * 10);
-                    ctx.lineTo(this.x + Math.cos(angle) * this.radius * pulse * 0.5, this.y + Math.sin(angle) * this.radius * pulse * 0.5);
-                    ctx.stroke();
-                }
-                break;
+            }
+            break;
 
-            case 'vortex':
-                // Spiral
-                ctx.strokeStyle = this.rotation > 0 ? '#4444ff' : '#ff44ff';
+        case 'vortex':
+            // Spiral
+            ctx.strokeStyle = field.rotation > 0 ? '#4444ff' : '#ff44ff';
+            ctx.beginPath();
+            for (let t = 0; t < Math.PI * 4; t += 0.1) {
+                const r = (t / (Math.PI * 4)) * radius * pulse;
+                const a = t * field.rotation + phase;
+                const px = x + Math.cos(a) * r;
+                const py = y + Math.sin(a) * r;
+                if (t === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            }
+            ctx.stroke();
+            break;
+
+        case 'gravity':
+            // Black hole style - concentric rings with glow
+            ctx.strokeStyle = '#ffaa00';
+            for (let r = radius * pulse; r > 15; r -= 15) {
                 ctx.beginPath();
-                for (let t = 0; t < Math.PI * 4; t += 0.1) {
-                    const r = (t / (Math.PI * 4)) * this.radius * pulse;
-                    const angle = t * this.rotation + this.pulsePhase;
-                    const x = this.x + Math.cos(angle) * r;
-                    const y = this.y + Math.sin(angle) * r;
-                    if (t === 0) ctx.moveTo(x, y);
-                    else ctx.lineTo(x, y);
-                }
+                ctx.arc(x, y, r, 0, Math.PI * 2);
                 ctx.stroke();
-                break;
-
-            case 'gravity':
-                // Black hole style - concentric rings with glow
-                ctx.strokeStyle = '#ffaa00';
-                for (let r = this.radius * pulse; r > 15; r -= 15) {
-                    ctx.beginPath();
-                    ctx.arc(this.x, this.y, r, 0, Math.PI * 2);
-                    ctx.stroke();
-                }
-                // Center glow
-                const glow = ctx.createRadialGradient(this.x, this.y, 0, this.x, this.y, 20);
-                glow.addColorStop(0, 'rgba(255, 200, 0, 0.8)');
-                glow.addColorStop(1, 'transparent');
-                ctx.fillStyle = glow;
-                ctx.beginPath();
-                ctx.arc(this.x, this.y, 20, 0, Math.PI * 2);
-                ctx.fill();
-                break;
+            }
+            // Center glow
+            const glow = ctx.createRadialGradient(x, y, 0, x, y, 20);
+            glow.addColorStop(0, 'rgba(255, 200, 0, 0.8)');
+            glow.addColorStop(1, 'transparent');
+            ctx.fillStyle = glow;
+            ctx.beginPath();
+            ctx.arc(x, y, 20, 0, Math.PI * 2);
+            ctx.fill();
+            break;
 
-            case 'shear':
-                // Parallel lines showing shear direction
-                ctx.strokeStyle = '#ff8844';
+        case 'shear':
+            // Parallel lines showing shear direction
+            ctx.strokeStyle = '#ff8844';
+            ctx.beginPath();
+            ctx.arc(x, y, radius * pulse, 0, Math.PI * 2);
+            ctx.stroke();
+            for (let i = -2; i <= 2; i++) {
+                const offset = i * 20;
+                const perpX = -Math.sin(angle);
+                const perpY = Math.cos(angle);
+                const startX = x + perpX * offset - Math.cos(angle) * 40;
+                const startY = y + perpY * offset - Math.sin(angle) * 40;
+                const endX = x + perpX * offset + Math.cos(angle) * 40;
+                const endY = y + perpY * offset + Math.sin(angle) * 40;
                 ctx.beginPath();
-                ctx.arc(this.x, this.y, this.radius * pulse, 0, Math.PI * 2);
+                ctx.moveTo(startX, startY);
+                ctx.lineTo(endX, endY);
+                // Arrow head
+                const arrowSize = 8;
+                const arrowAngle = angle + (i >= 0 ? 0 : Math.PI);
+                ctx.lineTo(endX - Math.cos(arrowAngle - 0.5) * arrowSize, endY - Math.sin(arrowAngle - 0.5) * arrowSize);
+                ctx.moveTo(endX, endY);
+                ctx.lineTo(endX - Math.cos(arrowAngle + 0.5) * arrowSize, endY - Math.sin(arrowAngle + 0.5) * arrowSize);
                 ctx.stroke();
-                for (let i = -2; i <= 2; i++) {
-                    const offset = i * 20;
-                    const perpX = -Math.sin(this.shearAngle);
-                    const perpY = Math.cos(this.shearAngle);
-                    const startX = this.x + perpX * offset - Math.cos(this.shearAngle) * 40;
-                    const startY = this.y + perpY * offset - Math.sin(this.shearAngle) * 40;
-                    const endX = this.x + perpX * offset + Math.cos(this.shearAngle) * 40;
-                    const endY = this.y + perpY * offset + Math.sin(this.shearAngle) * 40;
-                    ctx.beginPath();
-                    ctx.moveTo(startX, startY);
-                    ctx.lineTo(endX, endY);
-                    // Arrow head
-                    const arrowSize = 8;
-                    const arrowAngle = this.shearAngle + (i >= 0 ? 0 : Math.PI);
-                    ctx.lineTo(endX - Math.cos(arrowAngle - 0.5) * arrowSize, endY - Math.sin(arrowAngle - 0.5) * arrowSize);
-                    ctx.moveTo(endX, endY);
-                    ctx.lineTo(endX - Math.cos(arrowAngle + 0.5) * arrowSize, endY - Math.sin(arrowAngle + 0.5) * arrowSize);
-                    ctx.stroke();
-                }
-                break;
+            }
+            break;
 
-            case 'repulsor':
-                // Exploding star pattern
-                ctx.strokeStyle = '#ff2222';
-                ctx.fillStyle = '#ff2222';
+        case 'repulsor':
+            // Exploding star pattern
+            ctx.strokeStyle = '#ff2222';
+            ctx.fillStyle = '#ff2222';
+            ctx.beginPath();
+            ctx.arc(x, y, radius * pulse, 0, Math.PI * 2);
+            ctx.stroke();
+            for (let i = 0; i < 12; i++) {
+                const a = (i / 12) * Math.PI * 2 + phase * 0.5;
+                const innerR = 15;
+                const outerR = radius * pulse * 0.6;
                 ctx.beginPath();
-                ctx.arc(this.x, this.y, this.radius * pulse, 0, Math.PI * 2);
+                ctx.moveTo(x + Math.cos(a) * innerR, y + Math.sin(a) * innerR);
+                ctx.lineTo(x + Math.cos(a) * outerR, y + Math.sin(a) * outerR);
                 ctx.stroke();
-                for (let i = 0; i < 12; i++) {
-                    const angle = (i / 12) * Math.PI * 2 + this.pulsePhase * 0.5;
-                    const innerR = 15;
-                    const outerR = this.radius * pulse * 0.6;
-                    ctx.beginPath();
-                    ctx.moveTo(this.x + Math.cos(angle) * innerR, this.y + Math.sin(angle) * innerR);
-                    ctx.lineTo(this.x + Math.cos(angle) * outerR, this.y + Math.sin(angle) * outerR);
-                    ctx.stroke();
-                }
-                // Center warning
-                ctx.beginPath();
-                ctx.arc(this.x, this.y, 8, 0, Math.PI * 2);
-                ctx.fill();
-                break;
+            }
+            // Center warning
+            ctx.beginPath();
+            ctx.arc(x, y, 8, 0, Math.PI * 2);
+            ctx.fill();
+            break;
 
-            case 'turbulence':
-                // Chaotic squiggles
-                ctx.strokeStyle = '#aa44ff';
+        case 'turbulence':
+            // Chaotic squiggles
+            ctx.strokeStyle = '#aa44ff';
+            ctx.beginPath();
+            ctx.arc(x, y, radius * pulse, 0, Math.PI * 2);
+            ctx.stroke();
+            for (let i = 0; i < 5; i++) {
                 ctx.beginPath();
-                ctx.arc(this.x, this.y, this.radius * pulse, 0, Math.PI * 2);
-                ctx.stroke();
-                for (let i = 0; i < 5; i++) {
-                    ctx.beginPath();
-                    const startAngle = Math.random() * Math.PI * 2;
-                    let px = this.x + Math.cos(startAngle) * 10;
-                    let py = this.y + Math.sin(startAngle) * 10;
-                    ctx.moveTo(px, py);
-                    for (let j = 0; j < 20; j++) {
-                        const noiseVal = noise.noise2D(px * 0.05 + this.turbulenceSeed + i, py * 0.05 + time * 0.02);
-                        const angle = noiseVal * Math.PI * 2;
-                        px += Math.cos(angle) * 5;
-                        py += Math.sin(angle) * 5;
-                        ctx.lineTo(px, py);
-                    }
-                    ctx.stroke();
+                const startAngle = Math.random() * Math.PI * 2; // Decoration only - keep off the seeded stream
+                let px = x + Math.cos(startAngle) * 10;
+                let py = y + Math.sin(startAngle) * 10;
+                ctx.moveTo(px, py);
+                for (let j = 0; j < 20; j++) {
+                    const noiseVal = sim.noise.noise2D(px * 0.05 + field.strength + i, py * 0.05 + config.time * 0.02);
+                    const a = noiseVal * Math.PI * 2;
+                    px += Math.cos(a) * 5;
+                    py += Math.sin(a) * 5;
+                    ctx.lineTo(px, py);
                 }
-                break;
+                ctx.stroke();
+            }
+            break;
 
-            case 'lane':
-                // Parallel arrows showing flow direction
-                ctx.strokeStyle = '#44aaff';
+        case 'lane':
+            // Parallel arrows showing flow direction
+            ctx.strokeStyle = '#44aaff';
+            ctx.beginPath();
+            ctx.arc(x, y, radius * pulse, 0, Math.PI * 2);
+            ctx.stroke();
+            const laneCount = 5;
+            for (let i = 0; i < laneCount; i++) {
+                const perpDist = (i - (laneCount - 1) / 2) * 25;
+                const cx = x - Math.sin(angle) * perpDist;
+                const cy = y + Math.cos(angle) * perpDist;
+                // Arrow
+                const arrowLen = 30;
+                const endX = cx + Math.cos(angle) * arrowLen;
+                const endY = cy + Math.sin(angle) * arrowLen;
                 ctx.beginPath();
-                ctx.arc(this.x, this.y, this.radius * pulse, 0, Math.PI * 2);
+                ctx.moveTo(cx - Math.cos(angle) * arrowLen, cy - Math.sin(angle) * arrowLen);
+                ctx.lineTo(endX, endY);
+                ctx.lineTo(endX - Math.cos(angle - 0.5) * 10, endY - Math.sin(angle - 0.5) * 10);
+                ctx.moveTo(endX, endY);
+                ctx.lineTo(endX - Math.cos(angle + 0.5) * 10, endY - Math.sin(angle + 0.5) * 10);
                 ctx.stroke();
-                const laneCount = 5;
-                for (let i = 0; i < laneCount; i++) {
-                    const perpDist = (i - (laneCount - 1) / 2) * 25;
-                    const perpX = -Math.sin(this.laneAngle) * perpDist;
-                    const perpY = Math.cos(this.laneAngle) * perpDist;
-                    const cx = this.x + perpX;
-                    const cy = this.y + perpY;
-                    // Arrow
-                    const arrowLen = 30;
-                    const endX = cx + Math.cos(this.laneAngle) * arrowLen;
-                    const endY = cy + Math.sin(this.laneAngle) * arrowLen;
-                    ctx.beginPath();
-                    ctx.moveTo(cx - Math.cos(this.laneAngle) * arrowLen, cy - Math.sin(this.laneAngle) * arrowLen);
-                    ctx.lineTo(endX, endY);
-                    ctx.lineTo(endX - Math.cos(this.laneAngle - 0.5) * 10, endY - Math.sin(this.laneAngle - 0.5) * 10);
-                    ctx.moveTo(endX, endY);
-                    ctx.lineTo(endX - Math.cos(this.laneAngle + 0.5) * 10, endY - Math.sin(this.laneAngle + 0.5) * 10);
-                    ctx.stroke();
-                }
-                break;
-        }
-
-        ctx.restore();
+            }
+            break;
     }
 
-    isDead() {
-        return this.life <= 0;
-    }
+    ctx.restore();
 }
 
-function spawnForceField(type = null) {
-    if (forceFields.length < 15) { // Max 15 force fields
-        forceFields.push(new ForceField(type));
-        console.log('Spawned', type || 'random', 'force field. Total:', forceFields.length);
-    } else {
-        console.log('Max force fields reached (15). Clear some first.');
+// Add a field of the named type ('sink', 'vortex', ...), or a random enabled type.
+// Without a position it lands somewhere random.
+function spawnForceField(typeId = null, x = null, y = null) {
+    if (sim.forceFields.length >= sim.maxForceFields) {
+        console.log(`Max force fields reached (${sim.maxForceFields}). Clear some first.`);
+        return null;
     }
+    const field = sim.spawnForceField(typeId, x, y);
+    if (field) {
+        console.log('Spawned', FORCE_TYPES[field.type].name, 'force field. Total:', sim.forceFields.length);
+    }
+    return field;
 }
 
 function clearForceFields() {
-    forceFields = [];
+    sim.clearForceFields();
 }
 
 function toggleForceFieldVisibility() {
@@ -421,358 +236,40 @@ function toggleForceFieldVisibility() {
 }
 
 function cycleNoiseMode() {
-    config.noiseMode = (config.noiseMode + 1) % 6;
-    const modeNames = ['Classic', 'Turbulent fBm', 'Ridged', 'Billow', 'Domain Warp', 'Forces Only'];
-    document.getElementById('info').textContent = `Flow Fields - ${modeNames[config.noiseMode]}`;
+    config.noiseMode = (config.noiseMode + 1) % noiseModeNames.length;
+    document.getElementById('info').textContent = `Flow Fields - ${noiseModeNames[config.noiseMode]}`;
 }
 
 function toggleBrownian() {
-    config.brownianMotion = config.brownianMotion > 0 ? 0 : 1.5;
+    config.brownianMotion = config.brownianMotion > 0 ? 0 : SCENE_CONFIG.brownianMotion.default;
     document.getElementById('info').textContent = `Flow Fields - Brownian: ${config.brownianMotion > 0 ? 'ON' : 'OFF'}`;
 }
 
-// Simplex noise implementation (simplified Perlin-like noise)
-class NoiseGenerator {
-    constructor(seed = Math.random() * 10000) {
-        this.seed = seed;
-        this.perm = new Uint8Array(512);
-        this.gradP = new Array(512);
-
-        const grad3 = [
-            [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
-            [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
-            [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
-        ];
-
-        const p = new Uint8Array(256);
-        for (let i = 0; i < 256; i++) p[i] = i;
-
-        // Shuffle based on seed
-        let n = seed;
-        for (let i = 255; i > 0; i--) {
-            n = (n * 16807) % 2147483647;
-            const j = n % (i + 1);
-            [p[i], p[j]] = [p[j], p[i]];
-        }
-
-        for (let i = 0; i < 512; i++) {
-            this.perm[i] = p[i & 255];
-            this.gradP[i] = grad3[this.perm[i] % 12];
-        }
-    }
-
-    dot(g, x, y) {
-        return g[0] * x + g[1] * y;
-    }
-
-    noise2D(x, y) {
-        const F2 = 0.5 * (Math.sqrt(3) - 1);
-        const G2 = (3 - Math.sqrt(3)) / 6;
-
-        let s = (x + y) * F2;
-        let i = Math.floor(x + s);
-        let j = Math.floor(y + s);
-
-        let t = (i + j) * G2;
-        let X0 = i - t;
-        let Y0 = j - t;
-        let x0 = x - X0;
-        let y0 = y - Y0;
-
-        let i1, j1;
-        if (x0 > y0) { i1 = 1; j1 = 0; }
-        else { i1 = 0; j1 = 1; }
-
-        let x1 = x0 - i1 + G2;
-        let y1 = y0 - j1 + G2;
-        let x2 = x0 - 1 + 2 * G2;
-        let y2 = y0 - 1 + 2 * G2;
-
-        i &= 255;
-        j &= 255;
-
-        let gi0 = this.gradP[i + this.perm[j]];
-        let gi1 = this.gradP[i + i1 + this.perm[j + j1]];
-        let gi2 = this.gradP[i + 1 + this.perm[j + 1]];
-
-        let n0, n1, n2;
-
-        let t0 = 0.5 - x0*x0 - y0*y0;
-        if (t0 < 0) n0 = 0;
-        else {
-            t0 *= t0;
-            n0 = t0 * t0 * this.dot(gi0, x0, y0);
-        }
-
-        let t1 = 0.5 - x1*x1 - y1*y1;
-        if (t1 < 0) n1 = 0;
-        else {
-            t1 *= t1;
-            n1 = t1 * t1 * this.dot(gi1, x1, y1);
-        }
-
-        let t2 = 0.5 - x2*x2 - y2*y2;
-        if (t2 < 0) n2 = 0;
-        else {
-            t2 *= t2;
-            n2 = t2 * t2 * this.dot(gi2, x2, y2);
-        }
+function drawParticle(particle) {
+    let color;
 
-        return 70 * (n0 + n1 + n2);
-    }
-}
-
-let noise = new NoiseGenerator();
-
-// Particle class
-class Particle {
-    constructor() {
-        this.reset();
-    }
-
-    reset() {
-        this.x = Math.random() * canvas.width;
-        this.y = Math.random() * canvas.height;
-        this.prevX = this.x;
-        this.prevY = this.y;
-        this.speed = config.speed * (0.5 + Math.random() * 0.5);
-        this.colorIndex = Math.floor(Math.random() * colorSchemes[config.colorScheme].length);
-        this.life = 0;
-        this.maxLife = 100 + Math.random() * 200;
-        this.velocity = 0; // Track current velocity for color
-        this.hue = Math.random(); // For velocity coloring
-    }
-
-    update() {
-        this.prevX = this.x;
-        this.prevY = this.y;
-
-        let moveX = 0;
-        let moveY = 0;
-
-        // Get flow direction from noise field based on mode
-        if (config.noiseMode !== 5) { // Mode 5 = Forces Only (no background field)
-            let noiseVal;
-            const nx = this.x * config.noiseScale + time * 0.0001;
-            const ny = this.y * config.noiseScale + time * 0.0001;
-
-            switch (config.noiseMode) {
-                case 0: // Classic - single noise layer
-                    noiseVal = noise.noise2D(nx, ny);
-                    break;
-                case 1: // Turbulent fBm - 4 octaves with decreasing amplitude
-                    noiseVal = noise.noise2D(nx, ny) * 0.5 +
-                               noise.noise2D(nx * 2, ny * 2) * 0.25 +
-                               noise.noise2D(nx * 4, ny * 4) * 0.125 +
-                               noise.noise2D(nx * 8, ny * 8) * 0.0625;
-                    break;
-                case 2: // Ridged multifractal - sharp ridges
-                    noiseVal = 1 - Math.abs(noise.noise2D(nx, ny));
-                    noiseVal *= noiseVal; // Square for sharper ridges
-                    noiseVal += (1 - Math.abs(noise.noise2D(nx * 2, ny * 2))) * 0.5;
-                    noiseVal += (1 - Math.abs(noise.noise2D(nx * 4, ny * 4))) * 0.25;
-                    noiseVal = noiseVal * 0.7 - 0.5; // Normalize
-                    break;
-                case 3: // Billow - soft puffy clouds
-                    noiseVal = Math.abs(noise.noise2D(nx, ny)) * 0.5 +
-                               Math.abs(noise.noise2D(nx * 2, ny * 2)) * 0.25 +
-                               Math.abs(noise.noise2D(nx * 4, ny * 4)) * 0.125;
-                    noiseVal = noiseVal * 2 - 0.5;
-                    break;
-                case 4: // Warp - domain warping for swirly organic shapes
-                    const warpX = noise.noise2D(nx, ny) * 0.5;
-                    const warpY = noise.noise2D(nx + 5.2, ny + 1.3) * 0.5;
-                    noiseVal = noise.noise2D(nx + warpX, ny + warpY);
-                    noiseVal += noise.noise2D((nx + warpX) * 2, (ny + warpY) * 2) * 0.5;
-                    break;
-                default: // Forces only - no background
-                    noiseVal = 0;
-            }
-
-            const angle = noiseVal * Math.PI * 4;
-            moveX = Math.cos(angle) * this.speed * config.backgroundStrength;
-            moveY = Math.sin(angle) * this.speed * config.backgroundStrength;
-        }
-
-        // Add brownian motion (random jitter)
-        if (config.brownianMotion > 0) {
-            moveX += (Math.random() - 0.5) * config.brownianMotion;
-            moveY += (Math.random() - 0.5) * config.brownianMotion;
-        }
-
-        // Apply force fields with configurable strength
-        for (const field of forceFields) {
-            const force = field.getForce(this.x, this.y);
-            moveX += force.fx * config.forceFieldStrength;
-            moveY += force.fy * config.forceFieldStrength;
-        }
-
-        // Global gravity
-        if (config.globalGravity !== 0) {
-            moveY += config.globalGravity;
-        }
-
-        // Particle interactions
-        if (config.particleInteraction !== 'none') {
-            const nearby = getNearbyParticles(this.x, this.y, config.interactionRadius);
-            let interactX = 0, interactY = 0;
-            let alignX = 0, alignY = 0;
-            let neighborCount = 0;
-
-            // Determine interaction mode - for 'zones' mode, use noise to vary by position
-            let activeMode = config.particleInteraction;
-            if (config.particleInteraction === 'zones') {
-                const zoneNoise = noise.noise2D(this.x * 0.005 + time * 0.0002, this.y * 0.005);
-                if (zoneNoise < -0.3) {
-                    activeMode = 'attract';
-                } else if (zoneNoise > 0.3) {
-                    activeMode = 'repel';
-                } else {
-                    activeMode = 'align';
-                }
-            }
-
-            for (const other of nearby) {
-                if (other === this) continue;
-
-                const dx = other.x - this.x;
-                const dy = other.y - this.y;
-                const distSq = dx * dx + dy * dy;
-                const dist = Math.sqrt(distSq);
-
-                if (dist > 0 && dist < config.interactionRadius) {
-                    neighborCount++;
-                    const force = (config.interactionRadius - dist) / config.interactionRadius;
-
-                    switch (activeMode) {
-                        case 'attract':
-                            // Pull toward neighbors
-                            interactX += (dx / dist) * force;
-                            interactY += (dy / dist) * force;
-                            break;
-                        case 'repel':
-                            // Push away from neighbors
-                            interactX -= (dx / dist) * force * 2;
-                            interactY -= (dy / dist) * force * 2;
-                            break;
-                        case 'align':
-                            // Track average direction of neighbors
-                            const otherVX = other.x - other.prevX;
-                            const otherVY = other.y - other.prevY;
-                            alignX += otherVX;
-                            alignY += otherVY;
-                            break;
-                    }
-                }
-            }
-
-            if (neighborCount > 0) {
-                if (activeMode === 'align') {
-                    // Blend toward average neighbor direction
-                    alignX /= neighborCount;
-                    alignY /= neighborCount;
-                    const alignMag = Math.sqrt(alignX * alignX + alignY * alignY);
-                    if (alignMag > 0) {
-                        moveX = moveX * 0.7 + (alignX / alignMag) * this.speed * 0.3 * config.interactionStrength;
-                        moveY = moveY * 0.7 + (alignY / alignMag) * this.speed * 0.3 * config.interactionStrength;
-                    }
-                } else {
-                    moveX += interactX * config.interactionStrength * 0.5;
-                    moveY += interactY * config.interactionStrength * 0.5;
-                }
-            }
-        }
-
-        // Mouse interaction - different modes
-        if (mouse.active && mouse.x !== null) {
-            const dx = this.x - mouse.x;
-            const dy = this.y - mouse.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-
-            if (dist < mouse.radius && dist > 5) {
-                const force = (mouse.radius - dist) / mouse.radius;
-                const mouseAngle = Math.atan2(dy, dx);
-
-                switch (config.mouseMode) {
-                    case 'vortex':
-                        // Swirl around mouse
-                        const swirlAngle = mouseAngle + Math.PI / 2;
-                        const newAngle = Math.atan2(moveY, moveX);
-                        const blendedAngle = newAngle * (1 - force * 0.8) + swirlAngle * force * 0.8;
-                        const speed = Math.sqrt(moveX * moveX + moveY * moveY);
-                        moveX = Math.cos(blendedAngle) * speed * (1 + force);
-                        moveY = Math.sin(blendedAngle) * speed * (1 + force);
-                        break;
-                    case 'attract':
-                        // Pull toward mouse
-                        moveX -= (dx / dist) * force * 3;
-                        moveY -= (dy / dist) * force * 3;
-                        break;
-                    case 'repel':
-                        // Push away from mouse
-                        moveX += (dx / dist) * force * 3;
-                        moveY += (dy / dist) * force * 3;
-                        break;
-                }
-            }
-        }
-
-        // Store velocity for color
-        this.velocity = Math.sqrt(moveX * moveX + moveY * moveY);
-
-        this.x += moveX;
-        this.y += moveY;
-        this.life++;
-
-        // Reset if out of bounds or too old
-        if (this.x < 0 || this.x > canvas.width ||
-            this.y < 0 || this.y > canvas.height ||
-            this.life > this.maxLife) {
-            this.reset();
-        }
+    if (config.velocityColor) {
+        // Color based on velocity - map speed to hue
+        const hue = (particle.velocity / 8) * 360; // Normalize velocity to hue
+        const saturation = 80;
+        const lightness = 50 + Math.min(particle.velocity * 5, 30);
+        color = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+    } else {
+        const colors = getPaletteColors(Math.floor(config.colorScheme));
+        color = colors[Math.floor(sim.getParticlePaletteT(particle) * (colors.length - 1))];
     }
 
-    draw() {
-        let color;
-
-        if (config.velocityColor) {
-            // Color based on velocity - map speed to hue
-            const hue = (this.velocity / 8) * 360; // Normalize velocity to hue
-            const saturation = 80;
-            const lightness = 50 + Math.min(this.velocity * 5, 30);
-            color = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
-        } else {
-            const colors = colorSchemes[config.colorScheme];
-            color = colors[this.colorIndex % colors.length];
-        }
-
-        // Smooth fade over entire lifetime - starts bright, gradually dims
-        // This prevents grey buildup from alpha blending artifacts
-        const lifeRatio = this.life / this.maxLife;
-        let alpha = 1.0 - (lifeRatio * lifeRatio); // Quadratic fade - stays bright longer, then fades
-
-        // Quick fade-in at start
-        const fadeInSpeed = 10 / config.trailLength;
-        if (this.life < fadeInSpeed) alpha *= this.life / fadeInSpeed;
-
-        ctx.strokeStyle = color;
-        ctx.globalAlpha = alpha * 0.7;
-        ctx.lineWidth = config.lineWidth;
-        ctx.beginPath();
-        ctx.moveTo(this.prevX, this.prevY);
-        ctx.lineTo(this.x, this.y);
-        ctx.stroke();
-    }
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = sim.getParticleAlpha(particle) * 0.7;
+    ctx.lineWidth = config.lineWidth;
+    ctx.beginPath();
+    ctx.moveTo(particle.prevX, particle.prevY);
+    ctx.lineTo(particle.x, particle.y);
+    ctx.stroke();
 }
 
-// Initialize
-function init() {
-    resize();
-    particles = [];
-    for (let i = 0; i < config.particleCount; i++) {
-        particles.push(new Particle());
-    }
-    // Clear canvas with background
+function clearCanvas() {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.fillStyle = '#0a0a0a';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 }
@@ -780,6 +277,8 @@ function init() {
 function resize() {
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
+    sim.resize(canvas.width, canvas.height);
+    clearCanvas();
 }
 
 function animate() {
@@ -789,53 +288,20 @@ function animate() {
     }
 
     // Subtle fade effect for trails
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.fillStyle = `rgba(0, 0, 0, ${config.fadeAmount})`;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
+    setSimulationTransform();
 
-    // Randomly spawn force fields (boosted rate in Forces Only mode)
-    const effectiveSpawnRate = config.noiseMode === 5 ? config.spawnRate * 3 : config.spawnRate;
-    if (Math.random() < effectiveSpawnRate && forceFields.length < 15) {
-        spawnForceField();
-    }
-
-    // Update force fields
-    forceFields = forceFields.filter(f => !f.isDead());
-    for (const field of forceFields) {
-        field.update();
-        field.draw();
-    }
+    sim.step();
 
-    // Build spatial grid for particle interactions
-    if (config.particleInteraction !== 'none') {
-        buildSpatialGrid();
+    for (const field of sim.forceFields) {
+        drawForceField(field);
     }
 
-    // Update and draw particles
     ctx.globalAlpha = 1;
-    for (const particle of particles) {
-        particle.update();
-        particle.draw();
-    }
-
-    // In Forces Only mode, continuously spawn new particles at random positions
-    // to keep things lively even in areas without force fields
-    if (config.noiseMode === 5) {
-        const spawnCount = Math.floor(config.particleCount * 0.002); // ~0.2% per frame
-        for (let i = 0; i < spawnCount; i++) {
-            const idx = Math.floor(Math.random() * particles.length);
-            if (particles[idx].life > 50) { // Only reset older particles
-                particles[idx].reset();
-            }
-        }
-    }
-
-    // Manual respawn rate - continuously respawn particles at random positions
-    if (config.respawnRate > 0) {
-        const spawnCount = Math.floor(config.particleCount * config.respawnRate);
-        for (let i = 0; i < spawnCount; i++) {
-            const idx = Math.floor(Math.random() * particles.length);
-            particles[idx].reset();
-        }
+    for (const particle of sim.particles) {
+        drawParticle(particle);
     }
 
     // Draw mouse influence area (subtle)
@@ -847,14 +313,34 @@ function animate() {
         ctx.stroke();
     }
 
-    time++;
     animationId = requestAnimationFrame(animate);
 }
 
+// ============ SCENES ============
+
+// Same scene format as FlowFieldsGL.getScene(), so presets and share links work in both versions
+function getScene() {
+    return sim.getScene();
+}
+
+function applyScene(scene) {
+    const particles = sim.particles;
+    sim.applyScene(scene);
+    // A new seed or particle count restarts the run
+    if (sim.particles !== particles) {
+        clearCanvas();
+    }
+}
+
+// Restart from frame 0 with the given seed
+function reseed(seed) {
+    sim.reseed(seed);
+    clearCanvas();
+}
+
 // Control functions
 function reset() {
-    noise = new NoiseGenerator();
-    init();
+    reseed(Math.floor(Math.random() * 1000000000));
 }
 
 function togglePause() {
@@ -862,15 +348,10 @@ function togglePause() {
 }
 
 function cycleColorScheme() {
-    config.colorScheme = (config.colorScheme + 1) % colorSchemes.length;
-    // Update particle colors
-    for (const particle of particles) {
-        particle.colorIndex = Math.floor(Math.random() * colorSchemes[config.colorScheme].length);
-    }
+    config.colorScheme = (Math.floor(config.colorScheme) + 1) % sim.palettes.length;
     // Flash update the info
     const info = document.getElementById('info');
-    const schemeNames = ['Aurora', 'Sunset', 'Ocean', 'Forest', 'Fire', 'Neon', 'Monochrome', 'Vapor'];
-    info.textContent = `Flow Fields - ${schemeNames[config.colorScheme]}`;
+    info.textContent = `Flow Fields - ${sim.palettes[config.colorScheme].name}`;
 }
 
 function saveImage() {
@@ -880,11 +361,17 @@ function saveImage() {
     link.click();
 }
 
+// Evenly spaced streamlines through the current field, for pen plotters and laser cutters
+function saveStreamlines() {
+    const link = document.createElement('a');
+    link.download = `flow-field-streamlines-${Date.now()}.svg`;
+    link.href = URL.createObjectURL(new Blob([sim.exportStreamlinesSVG()], { type: 'image/svg+xml' }));
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
 // Event listeners
-window.addEventListener('resize', () => {
-    resize();
-    init();
-});
+window.addEventListener('resize', resize);
 
 // Keyboard controls
 window.addEventListener('keydown', (e) => {
@@ -901,32 +388,11 @@ window.addEventListener('keydown', (e) => {
         case 's':
             saveImage();
             break;
-        case '1':
-            spawnForceField('sink');
-            break;
-        case '2':
-            spawnForceField('source');
-            break;
-        case '3':
-            spawnForceField('vortex');
-            break;
-        case '4':
-            spawnForceField('gravity');
-            break;
-        case '5':
-            spawnForceField('shear');
-            break;
-        case '6':
-            spawnForceField('repulsor');
-            break;
-        case '7':
-            spawnForceField('turbulence');
-            break;
-        case '8':
-            spawnForceField('lane');
+        case 'l':
+            saveStreamlines();
             break;
         case 'i': // Cycle particle interaction mode
-            const modes = ['none', 'attract', 'repel', 'align', 'zones'];
+            const modes = SCENE_CONFIG.particleInteraction.options;
             const currentIdx = modes.indexOf(config.particleInteraction);
             config.particleInteraction = modes[(currentIdx + 1) % modes.length];
             console.log('Particle interaction:', config.particleInteraction);
@@ -939,13 +405,11 @@ window.addEventListener('keydown', (e) => {
             clearForceFields();
             break;
         case 'n': // Cycle noise mode
-            config.noiseMode = (config.noiseMode + 1) % 6;
-            const modeNames = ['Classic', 'Turbulent fBm', 'Ridged', 'Billow', 'Domain Warp', 'Forces Only'];
-            console.log('Noise mode:', modeNames[config.noiseMode]);
-            document.getElementById('info').textContent = `Flow Fields - ${modeNames[config.noiseMode]}`;
+            cycleNoiseMode();
+            console.log('Noise mode:', noiseModeNames[config.noiseMode]);
             break;
         case 'b': // Toggle brownian motion
-            config.brownianMotion = config.brownianMotion > 0 ? 0 : 1;
+            toggleBrownian();
             console.log('Brownian motion:', config.brownianMotion > 0 ? 'ON' : 'OFF');
             break;
         case '[': // Decrease background strength
@@ -965,16 +429,20 @@ window.addEventListener('keydown', (e) => {
             console.log('Force field strength:', config.forceFieldStrength.toFixed(1));
             break;
         case '+': // Increase spawn rate
-            config.spawnRate = Math.min(0.05, config.spawnRate + 0.005);
-            console.log('Spawn rate:', config.spawnRate.toFixed(3));
+            config.forceSpawnRate = Math.min(3, config.forceSpawnRate + 0.3);
+            console.log('Spawn rate:', config.forceSpawnRate.toFixed(1), 'per second');
             break;
+        default: { // Number keys spawn force field types
+            const type = FORCE_TYPES.find(t => t.key === e.key);
+            if (type) spawnForceField(type.id);
+        }
     }
 });
 
-// Mouse controls
+// Mouse controls - flip y into simulation coordinates
 canvas.addEventListener('mousemove', (e) => {
     mouse.x = e.clientX;
-    mouse.y = e.clientY;
+    mouse.y = canvas.height - e.clientY;
     mouse.active = true;
 });
 
@@ -987,33 +455,30 @@ canvas.addEventListener('mouseenter', () => {
 });
 
 // Click to spawn force field at mouse position
-let spawnTypeOnClick = 'random'; // 'random', 'sink', 'source', 'vortex', 'gravity'
+let spawnTypeOnClick = 'random'; // 'random' or a FORCE_TYPES id
 
 canvas.addEventListener('click', (e) => {
     const type = spawnTypeOnClick === 'random' ? null : spawnTypeOnClick;
-    const field = new ForceField(type);
-    field.x = e.clientX;
-    field.y = e.clientY;
-    if (forceFields.length < 10) {
-        forceFields.push(field);
-    }
+    spawnForceField(type, e.clientX, canvas.height - e.clientY);
 });
 
 // Right-click to cycle spawn type
 canvas.addEventListener('contextmenu', (e) => {
     e.preventDefault();
-    const types = ['random', 'sink', 'source', 'vortex', 'gravity'];
+    const types = ['random', ...FORCE_TYPES.map(t => t.id)];
     const currentIdx = types.indexOf(spawnTypeOnClick);
     spawnTypeOnClick = types[(currentIdx + 1) % types.length];
     console.log('Click spawn type:', spawnTypeOnClick);
 });
 
 // Start
-init();
+canvas.width = sim.width;
+canvas.height = sim.height;
+clearCanvas();
 animate();
 
 console.log('Flow Fields loaded!');
 console.log('Basic: Space=Pause, C=Colors, R=Reset, S=Save');
-console.log('Force Fields: 1=Sink, 2=Source, 3=Vortex, 4=Gravity, F=Toggle, X=Clear');
+console.log('Force Fields: 1-8=Sink/Source/Vortex/Gravity/Shear/Repulsor/Turbulence/Lane, F=Toggle, X=Clear');
 console.log('Click=Spawn at cursor, Right-click=Cycle spawn type');
 console.log('Modes: N=Noise mode, B=Brownian, [/]=Background, -/+=Force strength');
@@ -0,0 +1,221 @@
+// Flow Fields - share link tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    SCENE_CONFIG, NOISE_MODES, FORCE_TYPES, BUILTIN_PALETTES, decodeSceneParams, parseSceneValue,
+    packScene, unpackScene, encodeSceneHash, decodeSceneHash
+} = require('../flow-node.js');
+
+// decodeSceneParams for a query string
+function decodeQuery(query) {
+    return decodeSceneParams(new URLSearchParams(query));
+}
+
+// ============ SCENE VALUES ============
+
+test('numbers inside the range are used as they are', () => {
+    assert.deepStrictEqual(parseSceneValue(SCENE_CONFIG.speed, '2.5'), { value: 2.5 });
+    assert.deepStrictEqual(parseSceneValue(SCENE_CONFIG.speed, 2.5), { value: 2.5 });
+    assert.deepStrictEqual(parseSceneValue(SCENE_CONFIG.noiseMode, '2'), { value: 2 });
+});
+
+test('numbers outside the range are clamped', () => {
+    assert.deepStrictEqual(parseSceneValue(SCENE_CONFIG.particleCount, '1e12'),
+        { value: SCENE_CONFIG.particleCount.max, clamped: true });
+    assert.deepStrictEqual(parseSceneValue(SCENE_CONFIG.speed, '-3'),
+        { value: SCENE_CONFIG.speed.min, clamped: true });
+});
+
+test('integers are rounded before they are clamped', () => {
+    assert.deepStrictEqual(parseSceneValue(SCENE_CONFIG.noiseMode, '1.6'), { value: 2 });
+    assert.deepStrictEqual(parseSceneValue(SCENE_CONFIG.noiseMode, 99),
+        { value: NOISE_MODES.length - 1, clamped: true });
+});
+
+test('values that are not finite numbers are rejected', () => {
+    for (const text of ['NaN', 'Infinity', '-Infinity', '', '  ', '5px', 'abc', NaN, Infinity]) {
+        assert.deepStrictEqual(parseSceneValue(SCENE_CONFIG.fadeAmount, text), { error: 'not a number' },
+            `accepted ${String(text)}`);
+    }
+});
+
+test('bools take 1, 0, true and false only', () => {
+    const schema = SCENE_CONFIG.velocityColor;
+    assert.deepStrictEqual(parseSceneValue(schema, '1'), { value: true });
+    assert.deepStrictEqual(parseSceneValue(schema, 'false'), { value: false });
+    assert.deepStrictEqual(parseSceneValue(schema, true), { value: true });
+    assert.ok(parseSceneValue(schema, 'yes').error);
+});
+
+test('enums take one of their options only', () => {
+    const schema = SCENE_CONFIG.particleInteraction;
+    assert.deepStrictEqual(parseSceneValue(schema, schema.options[0]), { value: schema.options[0] });
+    assert.ok(parseSceneValue(schema, 'bogus').error);
+});
+
+// ============ QUERY PARAMETERS ============
+
+test('query parameters map onto config keys by their url names', () => {
+    const { scene, rejected } = decodeQuery('particles=5000&noise=2&fade=0.1&speed=1.5&color=3&seed=42');
+    assert.deepStrictEqual(scene.config, {
+        particleCount: 5000,
+        noiseMode: 2,
+        fadeAmount: 0.1,
+        speed: 1.5,
+        colorScheme: 3,
+        seed: 42
+    });
+    assert.deepStrictEqual(rejected, []);
+});
+
+test('out of range parameters are clamped and reported', () => {
+    const { scene, rejected } = decodeQuery('particles=1e12&noise=99');
+    assert.strictEqual(scene.config.particleCount, SCENE_CONFIG.particleCount.max);
+    assert.strictEqual(scene.config.noiseMode, NOISE_MODES.length - 1);
+    assert.deepStrictEqual(rejected, [
+        `particles=1e12 (out of range, using ${SCENE_CONFIG.particleCount.max})`,
+        `noise=99 (out of range, using ${NOISE_MODES.length - 1})`
+    ]);
+});
+
+test('unusable parameters are dropped and reported', () => {
+    const { scene, rejected } = decodeQuery('fade=NaN&speed=Infinity&zones=maybe&palette=nope');
+    assert.deepStrictEqual(scene.config, {});
+    assert.strictEqual(scene.palette, undefined);
+    assert.deepStrictEqual(rejected, [
+        'speed=Infinity (not a number)',
+        'fade=NaN (not a number)',
+        'zones=maybe (expected 1 or 0)',
+        'palette (not a valid gradient)'
+    ]);
+});
+
+test('older links name the mouse mode', () => {
+    assert.deepStrictEqual(decodeQuery('mouseMode=repel&mouseRad=200').scene.mouse, { mode: 2, radius: 200 });
+    assert.deepStrictEqual(decodeQuery('mouseMode=1').scene.mouse, { mode: 1 });
+    const { scene, rejected } = decodeQuery('mouseMode=spin');
+    assert.strictEqual(scene.mouse, undefined);
+    assert.deepStrictEqual(rejected, ['mouseMode=spin (not a number)']);
+});
+
+test('maxForces sets the field limit outside config', () => {
+    const { scene, rejected } = decodeQuery('maxForces=5000');
+    assert.strictEqual(scene.maxForceFields, 2000);
+    assert.deepStrictEqual(scene.config, {});
+    assert.deepStrictEqual(rejected, ['maxForces=5000 (out of range, using 2000)']);
+});
+
+test('a shared palette is decoded with its name', () => {
+    const { scene, rejected } = decodeQuery('palette=rgb.custom.000000-0_ffffff-1000&paletteName=Mono');
+    assert.deepStrictEqual(rejected, []);
+    assert.strictEqual(scene.palette.name, 'Mono');
+    assert.deepStrictEqual(scene.palette.stops.map(s => [s.position, s.color]), [[0, '#000000'], [1, '#ffffff']]);
+});
+
+// ============ SCENE LINKS ============
+
+const SHARED_PALETTE = {
+    name: 'Dusk',
+    interpolation: 'oklab',
+    source: 'velocity',
+    stops: [{ position: 0, color: '#102040' }, { position: 0.5, color: '#c04080' }, { position: 1, color: '#ffe0a0' }]
+};
+
+// A scene with everything a link carries, positions in 0-1 like getScene() gives them
+function fullScene() {
+    return {
+        config: { speed: 2.25, noiseMode: 3, symmetry: 4, zonesEnabled: true, colorScheme: BUILTIN_PALETTES.length, seed: 1234 },
+        maxForceFields: 120,
+        enabledForceTypes: FORCE_TYPES.map((t, i) => i % 2 === 0),
+        mouse: { mode: 2, radius: 220, strength: 1.5 },
+        palette: SHARED_PALETTE,
+        timeline: { duration: 600, loop: false, tracks: { speed: [{ time: 0, value: 1, easing: 'linear' }, { time: 300, value: 3, easing: 'smooth' }] } },
+        forceFields: [
+            { x: 0.25, y: 0.75, type: 1, strength: 80, radius: 120, rotation: -1, angle: 1.5, life: 600, vx: 0.1, vy: -0.2, pinned: true },
+            { x: 0.5, y: 0.125, type: 4, strength: 140, radius: 60, rotation: 1, angle: 0, life: 900, vx: 0, vy: 0, immortal: true }
+        ]
+    };
+}
+
+// Checks a decoded scene against fullScene()
+function assertFullScene(scene) {
+    const original = fullScene();
+    for (const [key, value] of Object.entries(original.config)) {
+        assert.strictEqual(scene.config[key], value, key);
+    }
+    assert.strictEqual(scene.maxForceFields, original.maxForceFields);
+    assert.deepStrictEqual(scene.enabledForceTypes, original.enabledForceTypes);
+    assert.deepStrictEqual(scene.mouse, original.mouse);
+    assert.deepStrictEqual(scene.palette, SHARED_PALETTE);
+    assert.deepStrictEqual(scene.timeline, original.timeline);
+    assert.deepStrictEqual(scene.forceFields, original.forceFields);
+}
+
+test('a packed scene unpacks to the same scene', () => {
+    const rejected = [];
+    const scene = unpackScene(JSON.parse(JSON.stringify(packScene(fullScene()))), rejected);
+    assert.deepStrictEqual(rejected, []);
+    assertFullScene(scene);
+});
+
+test('config values left out of a packed scene come back as their defaults', () => {
+    const packed = packScene({ config: { speed: SCENE_CONFIG.speed.default, fadeAmount: 0.2 } });
+    assert.deepStrictEqual(packed.c, { fadeAmount: 0.2 });
+    const scene = unpackScene(packed, []);
+    assert.strictEqual(scene.config.speed, SCENE_CONFIG.speed.default);
+    assert.strictEqual(scene.config.fadeAmount, 0.2);
+});
+
+test('a shared palette keeps the color scheme that points past the built-in palettes', () => {
+    const withPalette = [];
+    const scene = unpackScene(packScene({ config: { colorScheme: BUILTIN_PALETTES.length + 2 }, palette: SHARED_PALETTE }), withPalette);
+    assert.deepStrictEqual(withPalette, []);
+    assert.strictEqual(scene.config.colorScheme, BUILTIN_PALETTES.length + 2);
+
+    const withoutPalette = [];
+    const clamped = unpackScene(packScene({ config: { colorScheme: BUILTIN_PALETTES.length } }), withoutPalette);
+    assert.strictEqual(clamped.config.colorScheme, BUILTIN_PALETTES.length - 1);
+    assert.strictEqual(withoutPalette.length, 1);
+});
+
+test('invalid force fields are dropped and reported', () => {
+    const packed = packScene(fullScene());
+    packed.f.push([0.5, 0.5, 99, 1, 1, 1, 0, 1, 0, 0, 0], [0.5, 'x'], 'field');
+    const rejected = [];
+    const scene = unpackScene(packed, rejected);
+    assert.strictEqual(scene.forceFields.length, 2);
+    assert.deepStrictEqual(rejected, Array(3).fill('force field (invalid values)'));
+});
+
+test('a scene hash round-trips through encodeSceneHash and decodeSceneHash', async () => {
+    const hash = await encodeSceneHash(fullScene());
+    assert.match(hash, /^scene=1\.[A-Za-z0-9_-]+$/);
+    const { scene, rejected } = await decodeSceneHash('#' + hash);
+    assert.deepStrictEqual(rejected, []);
+    assertFullScene(scene);
+});
+
+test('hashes that do not hold a scene decode to null', async () => {
+    for (const hash of ['', '#', '#other=1.abc', '#scene=', '#scene=1', '#scene=x.abc', '#scene=1.a+b']) {
+        assert.strictEqual(await decodeSceneHash(hash), null, hash);
+    }
+});
+
+test('newer and damaged scene hashes give an empty scene and say why', async () => {
+    const newer = await decodeSceneHash('#scene=2.' + (await encodeSceneHash(fullScene())).split('.')[1]);
+    assert.deepStrictEqual(newer, {
+        scene: { config: {} },
+        rejected: ['scene (format version 2 is newer than this page understands)']
+    });
+
+    const { error } = console;
+    console.error = () => {};
+    try {
+        const damaged = await decodeSceneHash('#scene=1.bm90LWRlZmxhdGU');
+        assert.deepStrictEqual(damaged, { scene: { config: {} }, rejected: ['scene (link is damaged)'] });
+    } finally {
+        console.error = error;
+    }
+});
@@ -0,0 +1,215 @@
+// Flow Fields - CPU simulation tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FlowSimulation, FORCE_TYPES, createForceField } = require('../flow-node.js');
+
+const WIDTH = 320;
+const HEIGHT = 180;
+
+// Steps a run and returns the last rendered frame
+function renderRun(config, frames = 60) {
+    const sim = new FlowSimulation(WIDTH, HEIGHT, { particleCount: 800, ...config });
+    const buffer = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let i = 0; i < frames; i++) {
+        sim.step();
+        sim.renderToBuffer(buffer);
+    }
+    return Buffer.from(buffer.buffer);
+}
+
+// A simulation where only what the test adds moves particles: no background flow, jitter,
+// interactions, spawning or respawning
+function createQuietSim(config = {}) {
+    return new FlowSimulation(WIDTH, HEIGHT, {
+        backgroundStrength: 0,
+        brownianMotion: 0,
+        particleInteraction: 'none',
+        forceSpawnRate: 0,
+        respawnRate: 0,
+        globalGravity: 0,
+        forceFieldStrength: 1,
+        ...config
+    });
+}
+
+// One step of a single particle starting at (x, y); returns how far it moved
+function probe(sim, x, y) {
+    const particle = sim.createParticle();
+    particle.x = particle.prevX = x;
+    particle.y = particle.prevY = y;
+    sim.particles = [particle];
+    sim.step();
+    return { x: particle.x - x, y: particle.y - y, particle };
+}
+
+// A field of the named type in the middle of the canvas that neither drifts nor expires.
+// Strength 100 and life 500 make its pull at half the radius exactly 0.5 (see getForceFieldForce).
+function addField(sim, id, overrides = {}) {
+    const type = FORCE_TYPES.findIndex(t => t.id === id);
+    sim.forceFields.push({
+        ...createForceField(WIDTH / 2, HEIGHT / 2, type, sim.config, sim.random),
+        strength: 100,
+        radius: 100,
+        life: 500,
+        rotation: 1,
+        angle: 0,
+        pinned: true,
+        immortal: true,
+        ...overrides
+    });
+}
+
+const CX = WIDTH / 2;
+const CY = HEIGHT / 2;
+const EPSILON = 1e-9;
+
+// ============ DETERMINISM ============
+
+test('the same seed renders identical frames', () => {
+    const a = renderRun({ seed: 42 });
+    const b = renderRun({ seed: 42 });
+    assert.ok(a.equals(b));
+});
+
+test('the same seed renders identical frames with interactions and curl noise', () => {
+    const config = { seed: 7, noiseMode: 6, particleInteraction: 'align', forceSpawnRate: 5 };
+    assert.ok(renderRun(config).equals(renderRun(config)));
+});
+
+test('different seeds render different frames', () => {
+    const a = renderRun({ seed: 42 });
+    const b = renderRun({ seed: 43 });
+    assert.ok(!a.equals(b));
+});
+
+test('reseed replays the run from frame 0', () => {
+    const sim = new FlowSimulation(WIDTH, HEIGHT, { seed: 5, particleCount: 200 });
+    for (let i = 0; i < 30; i++) sim.step();
+    const first = sim.particles.map(p => [p.x, p.y]);
+    sim.reseed(5);
+    for (let i = 0; i < 30; i++) sim.step();
+    assert.deepStrictEqual(sim.particles.map(p => [p.x, p.y]), first);
+});
+
+// ============ FORCE FIELDS ============
+
+test('every force type is covered', () => {
+    assert.deepStrictEqual(FORCE_TYPES.map(t => t.id).sort(),
+        ['gravity', 'lane', 'repulsor', 'shear', 'sink', 'source', 'turbulence', 'vortex']);
+});
+
+test('sink pulls toward its center', () => {
+    const sim = createQuietSim();
+    addField(sim, 'sink');
+    const move = probe(sim, CX + 50, CY);
+    assert.ok(Math.abs(move.x + 0.5) < EPSILON, `moved ${move.x}`);
+    assert.ok(Math.abs(move.y) < EPSILON);
+});
+
+test('source pushes away from its center', () => {
+    const sim = createQuietSim();
+    addField(sim, 'source');
+    const move = probe(sim, CX, CY - 50);
+    assert.ok(Math.abs(move.y + 0.5) < EPSILON, `moved ${move.y}`);
+    assert.ok(Math.abs(move.x) < EPSILON);
+});
+
+test('vortex turns around its center in the direction of its rotation', () => {
+    const counterClockwise = createQuietSim();
+    addField(counterClockwise, 'vortex', { rotation: 1 });
+    const ccw = probe(counterClockwise, CX + 50, CY);
+    assert.ok(ccw.y > 0.49 && Math.abs(ccw.x) < EPSILON, `moved ${ccw.x}, ${ccw.y}`);
+
+    const clockwise = createQuietSim();
+    addField(clockwise, 'vortex', { rotation: -1 });
+    const cw = probe(clockwise, CX + 50, CY);
+    assert.ok(cw.y < -0.49 && Math.abs(cw.x) < EPSILON, `moved ${cw.x}, ${cw.y}`);
+});
+
+test('gravity pulls inward harder than a sink, with a slight orbit', () => {
+    const sim = createQuietSim();
+    addField(sim, 'gravity');
+    const move = probe(sim, CX + 50, CY);
+    assert.ok(Math.abs(move.x + 1) < EPSILON, `moved ${move.x}`);
+    assert.ok(Math.abs(move.y - 0.15) < EPSILON, `moved ${move.y}`);
+});
+
+test('turbulence pushes with its full strength in a direction that varies', () => {
+    const sim = createQuietSim();
+    addField(sim, 'turbulence');
+    const directions = [];
+    for (const [x, y] of [[CX + 50, CY], [CX - 50, CY], [CX, CY + 50], [CX, CY - 50]]) {
+        const move = probe(sim, x, y);
+        assert.ok(Math.abs(Math.hypot(move.x, move.y) - 1) < EPSILON);
+        directions.push(Math.atan2(move.y, move.x));
+    }
+    assert.ok(directions.some(d => Math.abs(d - directions[0]) > 0.01));
+});
+
+test('shear slides the two halves of the field opposite ways along its angle', () => {
+    const sim = createQuietSim();
+    addField(sim, 'shear');
+    const above = probe(sim, CX, CY + 50);
+    const below = probe(sim, CX, CY - 50);
+    assert.ok(Math.abs(above.x - 0.75) < EPSILON && Math.abs(above.y) < EPSILON, `moved ${above.x}`);
+    assert.ok(Math.abs(below.x + 0.75) < EPSILON && Math.abs(below.y) < EPSILON, `moved ${below.x}`);
+});
+
+test('repulsor pushes away, harder than a source at the same spot', () => {
+    const sim = createQuietSim();
+    addField(sim, 'repulsor');
+    const move = probe(sim, CX + 50, CY);
+    assert.ok(move.x > 0.5 && Math.abs(move.y) < EPSILON, `moved ${move.x}`);
+    assert.ok(Math.abs(move.x - 0.5 * 3 * 100 / 60) < EPSILON);
+});
+
+test('lane pushes along its angle wherever the particle is', () => {
+    const sim = createQuietSim();
+    addField(sim, 'lane', { angle: Math.PI / 2 });
+    for (const [x, y] of [[CX + 50, CY], [CX - 30, CY - 30]]) {
+        const move = probe(sim, x, y);
+        assert.ok(Math.abs(move.x) < EPSILON && move.y > 0, `moved ${move.x}, ${move.y}`);
+    }
+});
+
+test('fields do nothing outside their radius', () => {
+    const sim = createQuietSim();
+    addField(sim, 'sink');
+    const move = probe(sim, CX + 120, CY);
+    assert.strictEqual(move.x, 0);
+    assert.strictEqual(move.y, 0);
+});
+
+// ============ BOUNDARIES ============
+
+test('particles leaving the bottom wrap to the top', () => {
+    const sim = createQuietSim({ globalGravity: 2 });
+    const { particle } = probe(sim, 100, 1);
+    assert.strictEqual(particle.x, 100);
+    assert.ok(Math.abs(particle.y - (HEIGHT - 1)) < EPSILON, `at ${particle.y}`);
+});
+
+test('particles leaving the right edge wrap to the left', () => {
+    const sim = createQuietSim();
+    addField(sim, 'lane', { x: WIDTH - 10, y: CY, angle: 0, strength: 400 });
+    const { particle } = probe(sim, WIDTH - 1, CY);
+    assert.ok(particle.x >= 0 && particle.x < 10, `at ${particle.x}`);
+    assert.strictEqual(particle.y, CY);
+});
+
+test('wrapping does not draw a streak across the canvas', () => {
+    const sim = createQuietSim({ globalGravity: 2 });
+    const { particle } = probe(sim, 100, 1);
+    assert.strictEqual(particle.prevX, particle.x);
+    assert.strictEqual(particle.prevY, particle.y);
+});
+
+test('particles stay on the canvas over a long run', () => {
+    const sim = new FlowSimulation(WIDTH, HEIGHT, { seed: 3, particleCount: 500, speed: 5, forceSpawnRate: 5 });
+    for (let i = 0; i < 300; i++) sim.step();
+    for (const p of sim.particles) {
+        assert.ok(p.x >= 0 && p.x < WIDTH && p.y >= 0 && p.y < HEIGHT, `particle at ${p.x}, ${p.y}`);
+    }
+});
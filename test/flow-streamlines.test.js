@@ -0,0 +1,159 @@
+// Flow Fields - streamline export tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createSeededRandom, traceStreamlines, simplifyPolyline, gridFieldSampler, streamlinesToSVG
+} = require('../flow-node.js');
+
+const WIDTH = 400;
+const HEIGHT = 300;
+const COLS = 40;
+const ROWS = 30;
+
+// A swirl around the middle with seeded jitter, sampled into an RGBA grid like sampleFlowField gives
+function createField(seed) {
+    const random = createSeededRandom(seed);
+    const data = new Float32Array(COLS * ROWS * 4);
+    for (let row = 0; row < ROWS; row++) {
+        for (let col = 0; col < COLS; col++) {
+            const x = (col + 0.5) / COLS * WIDTH - WIDTH / 2;
+            const y = (row + 0.5) / ROWS * HEIGHT - HEIGHT / 2;
+            const i = (row * COLS + col) * 4;
+            data[i] = -y / 100 + (random() - 0.5) * 0.2 + 0.5;
+            data[i + 1] = x / 100 + (random() - 0.5) * 0.2;
+        }
+    }
+    return gridFieldSampler(data, COLS, ROWS, WIDTH, HEIGHT);
+}
+
+function trace(seed, options = {}) {
+    return traceStreamlines(createField(seed), WIDTH, HEIGHT, { random: createSeededRandom(seed), ...options });
+}
+
+// Distance from point p to the segment a-b
+function segmentDistance([px, py], [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+    return Math.hypot(px - ax - dx * t, py - ay - dy * t);
+}
+
+// ============ FIELD SAMPLING ============
+
+test('the grid sampler returns cell values at cell centers and blends between them', () => {
+    const data = new Float32Array([0, 0, 9, 9, 4, 2, 9, 9, 8, 6, 9, 9, 12, 8, 9, 9]);
+    const sample = gridFieldSampler(data, 2, 2, 100, 100);
+    assert.deepStrictEqual(sample(25, 25), { x: 0, y: 0 });
+    assert.deepStrictEqual(sample(75, 25), { x: 4, y: 2 });
+    assert.deepStrictEqual(sample(25, 75), { x: 8, y: 6 });
+    assert.deepStrictEqual(sample(50, 50), { x: 6, y: 4 });
+    // Clamped past the outer cell centers
+    assert.deepStrictEqual(sample(0, 0), { x: 0, y: 0 });
+});
+
+// ============ TRACING ============
+
+test('the same seed traces the same lines', () => {
+    assert.deepStrictEqual(trace(11), trace(11));
+    assert.notDeepStrictEqual(trace(11), trace(12));
+});
+
+test('lines stay on the picture and are at least the minimum length', () => {
+    const lines = trace(11, { minLength: 30 });
+    assert.ok(lines.length > 20, `traced ${lines.length} lines`);
+    for (const { points } of lines) {
+        let length = 0;
+        for (let i = 0; i < points.length; i++) {
+            const [x, y] = points[i];
+            assert.ok(x >= 0 && x <= WIDTH && y >= 0 && y <= HEIGHT, `point at ${x}, ${y}`);
+            if (i > 0) length += Math.hypot(x - points[i - 1][0], y - points[i - 1][1]);
+        }
+        assert.ok(length >= 30 - 1e-9, `line ${length}px long`);
+    }
+});
+
+test('no two lines come closer than the test distance', () => {
+    const separation = 16;
+    const testRatio = 0.5;
+    const lines = trace(11, { separation, testRatio, tolerance: 0 });
+    let closest = Infinity;
+    for (let a = 0; a < lines.length; a++) {
+        for (let b = a + 1; b < lines.length; b++) {
+            for (const [ax, ay] of lines[a].points) {
+                for (const [bx, by] of lines[b].points) {
+                    closest = Math.min(closest, Math.hypot(ax - bx, ay - by));
+                }
+            }
+        }
+    }
+    assert.ok(closest >= separation * testRatio - 1e-9, `lines ${closest}px apart`);
+});
+
+test('the count option caps the number of lines', () => {
+    assert.strictEqual(trace(11, { count: 5 }).length, 5);
+});
+
+// ============ SIMPLIFICATION ============
+
+test('collinear points simplify to the endpoints', () => {
+    const points = Array.from({ length: 20 }, (v, i) => [i, i * 2]);
+    assert.deepStrictEqual(simplifyPolyline(points, 0.1), [[0, 0], [19, 38]]);
+});
+
+test('wiggles within the tolerance are dropped and larger ones kept', () => {
+    const zigzag = amplitude => Array.from({ length: 21 }, (v, i) => [i * 5, i % 2 === 0 ? 0 : amplitude]);
+    assert.deepStrictEqual(simplifyPolyline(zigzag(0.4), 0.5), [[0, 0], [100, 0]]);
+    assert.deepStrictEqual(simplifyPolyline(zigzag(4), 0.5), zigzag(4));
+});
+
+test('every dropped point lies within the tolerance of the simplified line', () => {
+    const random = createSeededRandom(3);
+    const points = Array.from({ length: 200 }, (v, i) => [i, Math.sin(i / 15) * 40 + random() * 2]);
+    const tolerance = 1.5;
+    const simplified = simplifyPolyline(points, tolerance);
+    assert.ok(simplified.length < points.length / 4, `kept ${simplified.length} points`);
+    for (const p of points) {
+        const distance = Math.min(...simplified.slice(1).map((b, i) => segmentDistance(p, simplified[i], b)));
+        assert.ok(distance <= tolerance + 1e-9, `point ${p} is ${distance} away`);
+    }
+});
+
+test('closed loops keep their shape', () => {
+    const loop = Array.from({ length: 65 }, (v, i) => [Math.cos(i / 64 * Math.PI * 2) * 50, Math.sin(i / 64 * Math.PI * 2) * 50]);
+    const simplified = simplifyPolyline(loop, 1);
+    assert.ok(simplified.length > 4, `kept ${simplified.length} points`);
+    assert.deepStrictEqual(simplified[0], loop[0]);
+    assert.deepStrictEqual(simplified[simplified.length - 1], loop[loop.length - 1]);
+});
+
+// ============ SVG ============
+
+test('the SVG has one path per line with its own stroke, flipped to y down', () => {
+    const lines = trace(11, { count: 12 });
+    const colors = ['#ff0000', '#00ff00', '#0000ff'];
+    const svg = streamlinesToSVG(lines, WIDTH, HEIGHT, { color: line => colors[lines.indexOf(line) % 3] });
+
+    assert.ok(svg.startsWith(`<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}"`));
+    assert.ok(svg.trimEnd().endsWith('</svg>'));
+    assert.strictEqual((svg.match(/<g /g) || []).length, (svg.match(/<\/g>/g) || []).length);
+    assert.ok(!svg.includes('<rect'));
+
+    const paths = [...svg.matchAll(/<path d="([^"]*)" stroke="([^"]*)"\/>/g)];
+    assert.strictEqual(paths.length, lines.length);
+    paths.forEach(([, d, stroke], i) => {
+        assert.strictEqual(stroke, colors[i % 3]);
+        assert.match(d, /^M-?[\d.]+ -?[\d.]+(L-?[\d.]+ -?[\d.]+)+$/);
+        const [x, y] = d.slice(1).split('L')[0].split(' ').map(Number);
+        const [px, py] = lines[i].points[0];
+        assert.ok(Math.abs(x - px) <= 0.005 && Math.abs(y - (HEIGHT - py)) <= 0.005);
+    });
+});
+
+test('the SVG fills the background only when given one', () => {
+    const svg = streamlinesToSVG([], WIDTH, HEIGHT, { background: '#101010', strokeWidth: 2 });
+    assert.ok(svg.includes('<rect width="100%" height="100%" fill="#101010"/>'));
+    assert.ok(svg.includes('stroke-width="2"'));
+});
@@ -0,0 +1,38 @@
+// Flow Fields - keyframe timeline tests
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SCENE_CONFIG, createTimeline, setKeyframe, evaluateTimeline } = require('../flow-node.js');
+
+// A timeline with one linear track for key from `from` at frame 0 to `to` at frame 100
+function linearTrack(key, from, to) {
+    const timeline = createTimeline(100);
+    timeline.loop = false;
+    setKeyframe(timeline, key, 0, from, 'linear');
+    setKeyframe(timeline, key, 100, to, 'linear');
+    return timeline;
+}
+
+test('every integer setting snaps to whole values between keyframes', () => {
+    const intKeys = Object.keys(SCENE_CONFIG).filter(key => SCENE_CONFIG[key].type === 'int');
+    for (const key of ['noiseMode', 'renderMode', 'symmetry', 'toneMapping', 'colorGrade',
+        'kaleidoscopeSegments', 'interactionRadius']) {
+        assert.ok(intKeys.includes(key), `${key} is an int setting`);
+    }
+    for (const key of intKeys) {
+        const value = evaluateTimeline(linearTrack(key, 1, 4), 30)[key];
+        assert.strictEqual(value, 2, `${key} evaluated to ${value}`);
+    }
+});
+
+test('float settings interpolate without snapping', () => {
+    const value = evaluateTimeline(linearTrack('speed', 1, 4), 30).speed;
+    assert.ok(Math.abs(value - 1.9) < 1e-9, `speed evaluated to ${value}`);
+});
+
+test('looping timelines wrap the frame around the duration', () => {
+    const timeline = linearTrack('speed', 0, 10);
+    timeline.loop = true;
+    assert.ok(Math.abs(evaluateTimeline(timeline, 125).speed - 2.5) < 1e-9);
+});